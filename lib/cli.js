@@ -0,0 +1,245 @@
+// Command line parsing for recipe-converter.js
+
+const fs = require("fs")
+const { expandGlob } = require("./glob")
+
+const COMMANDS = [
+	"all",
+	"html",
+	"yml",
+	"url",
+	"paprika",
+	"mela",
+	"watch",
+	"serve",
+]
+
+// Exit codes
+const EXIT_OK = 0
+const EXIT_FAILED = 1 // the run failed (an error, or --strict validation)
+const EXIT_USAGE = 2 // bad arguments or no matching input files
+const EXIT_PARTIAL = 3 // finished, but some files could not be converted
+
+// Options the CLI understands. Boolean options can be negated with --no-<name>.
+const OPTIONS = {
+	input: { type: "string" },
+	output: { type: "string" },
+	"title-case": { type: "string", values: ["title", "proper", "none"] },
+	images: { type: "boolean" },
+	"archive-name": { type: "string" },
+	format: {
+		type: "string",
+		values: ["mela", "paprika", "html", "markdown", "print"],
+	},
+	archive: { type: "boolean" },
+	"dry-run": { type: "boolean" },
+	category: { type: "string", multiple: true },
+	title: { type: "string" },
+	taxonomy: { type: "string" },
+	offline: { type: "boolean" },
+	dedupe: { type: "boolean" },
+	strict: { type: "boolean" },
+	full: { type: "boolean" },
+	"keep-deleted": { type: "boolean" },
+	"id-strategy": { type: "string", values: ["basename", "uuid", "hash"] },
+	"scale-to": { type: "number" },
+	units: { type: "string", values: ["metric", "us"] },
+	"nutrition-per-serving": { type: "boolean" },
+	quiet: { type: "boolean" },
+	verbose: { type: "boolean" },
+	summary: { type: "string" },
+	"no-summary": { type: "boolean" },
+	port: { type: "number" },
+	help: { type: "boolean" },
+	version: { type: "boolean" },
+}
+
+const SHORT_OPTIONS = { "-h": "--help", "-v": "--version" }
+
+const HELP = `Usage: recipe-converter [command] [options] [files or globs...]
+
+Commands:
+  all                 Convert everything below the input folder (default)
+  html                Convert <input>/HTML
+  yml                 Convert <input>/YML
+  url <url...>        Fetch recipe web pages and convert them
+  paprika <file...>   Convert Paprika .paprikarecipes exports
+  mela [file...]      Convert Mela recipes back to Cookbook YML and HTML
+  watch               Convert everything, then convert again whenever files in
+                      the input folder change, until interrupted
+  serve               Start a web page on localhost for converting files by
+                      drag and drop (--port, default 8080)
+
+  Files and glob patterns ("recipes/**/*.yml") given without a command are
+  converted with the parser matching each file.
+
+Options:
+  --input <dir>           Folder with recipes to convert (default ./recipes)
+  --output <dir>          Folder for converted recipes (default ./output)
+  --title-case <mode>     title (default), proper or none
+  --no-images             Leave images out
+  --format <name>         Output format: mela (default), paprika, html (schema.org
+                          JSON-LD pages), markdown or print (one printable page)
+  --archive-name <name>   Name of the .melarecipes archive (default recipes.melarecipes)
+  --no-archive            Only write .melarecipe files, no archive
+  --dry-run               Convert and report without writing anything
+  --category <name>       Only recipes in this category (repeat or comma separate)
+  --title <text>          Only recipes whose title contains this text
+  --taxonomy <file>       Category rules to apply, .yml or .json
+  --id-strategy <name>    basename (default), uuid or hash
+  --scale-to <servings>   Scale recipes to this many servings
+  --units <system>        Convert measurements to metric or us
+  --nutrition-per-serving Nutrition in the sources is for the whole recipe,
+                          divide it by the yield
+  --offline               Only use images from the image cache
+  --no-dedupe             Keep recipes found in more than one source
+  --full                  Convert everything, ignoring the manifest
+  --keep-deleted          Keep outputs of deleted source files
+  --strict                Fail when recipes don't pass validation
+  --quiet                 Only print warnings and errors
+  --verbose               Also print each file and image as it is processed
+  --summary <file>        Write the run summary here, .json or .csv
+                          (default <output>/run-summary.json)
+  --no-summary            Don't write a run summary
+  --port <number>         Port for serve (default 8080)
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Exit codes:
+  0  everything was converted
+  1  the conversion failed, or recipes failed validation with --strict
+  2  invalid arguments, or no input files matched
+  3  finished, but some files could not be converted
+`
+
+class UsageError extends Error {}
+
+// Parse argv (without node and the script) into { command, positionals, options }.
+// Throws UsageError for unknown options or bad values.
+function parseArgs(argv) {
+	const options = {}
+	const positionals = []
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = SHORT_OPTIONS[argv[i]] || argv[i]
+		if (arg === "--") {
+			positionals.push(...argv.slice(i + 1))
+			break
+		}
+		if (!arg.startsWith("--")) {
+			positionals.push(arg)
+			continue
+		}
+
+		const equals = arg.indexOf("=")
+		let name = arg.slice(2, equals === -1 ? undefined : equals)
+		let value = equals === -1 ? undefined : arg.slice(equals + 1)
+		let negated = false
+		if (!OPTIONS[name] && name.startsWith("no-")) {
+			const option = OPTIONS[name.slice(3)]
+			if (option && option.type === "boolean") {
+				name = name.slice(3)
+				negated = true
+			}
+		}
+
+		const spec = OPTIONS[name]
+		if (!spec) throw new UsageError(`Unknown option: ${arg}`)
+		if (spec.type === "boolean") {
+			if (value !== undefined) {
+				throw new UsageError(`--${name} doesn't take a value`)
+			}
+			options[name] = !negated
+			continue
+		}
+
+		if (value === undefined) {
+			value = argv[++i]
+			if (value === undefined || value.startsWith("--")) {
+				throw new UsageError(`--${name} needs a value`)
+			}
+		}
+		if (spec.values && !spec.values.includes(value)) {
+			throw new UsageError(
+				`--${name} must be one of ${spec.values.join(", ")}, got "${value}"`
+			)
+		}
+		if (spec.type === "number") {
+			value = Number(value)
+			if (!(value > 0)) throw new UsageError(`--${name} must be a number`)
+		}
+		options[name] = spec.multiple
+			? [
+					...(options[name] || []),
+					...value
+						.split(",")
+						.map((item) => item.trim())
+						.filter((item) => item),
+			  ]
+			: value
+	}
+
+	const command = COMMANDS.includes(positionals[0])
+		? positionals.shift()
+		: positionals.length > 0
+		? "files"
+		: "all"
+	return { command, positionals, options }
+}
+
+// RecipeConverter options for parsed CLI options
+function converterOptions(options) {
+	return {
+		recipesDir: options.input,
+		outputDir: options.output,
+		titleCaseMode: options["title-case"],
+		images: options.images,
+		archive: options.archive,
+		archiveName: options["archive-name"],
+		format: options.format,
+		dryRun: options["dry-run"],
+		categories: options.category,
+		titleFilter: options.title,
+		taxonomy: options.taxonomy,
+		offline: options.offline,
+		dedupe: options.dedupe,
+		strict: options.strict,
+		incremental: !options.full,
+		removeDeleted: !options["keep-deleted"],
+		idStrategy: options["id-strategy"],
+		scaleTo: options["scale-to"],
+		units: options.units,
+		nutritionPerServing: options["nutrition-per-serving"],
+		logLevel: options.quiet ? "warn" : options.verbose ? "debug" : undefined,
+		summary: options["no-summary"] ? false : undefined,
+		summaryPath: options.summary,
+	}
+}
+
+// Expand file and glob arguments into a list of files.
+// Throws UsageError when an argument matches nothing.
+function expandFiles(args) {
+	const files = []
+	for (const arg of args) {
+		if (fs.existsSync(arg) && fs.statSync(arg).isDirectory()) {
+			throw new UsageError(`${arg} is a folder, use --input ${arg} all`)
+		}
+		const matches = fs.existsSync(arg) ? [arg] : expandGlob(arg)
+		if (matches.length === 0) throw new UsageError(`No files match ${arg}`)
+		files.push(...matches.filter((file) => !files.includes(file)))
+	}
+	return files
+}
+
+module.exports = {
+	COMMANDS,
+	EXIT_OK,
+	EXIT_FAILED,
+	EXIT_USAGE,
+	EXIT_PARTIAL,
+	HELP,
+	UsageError,
+	parseArgs,
+	converterOptions,
+	expandFiles,
+}
@@ -0,0 +1,202 @@
+const yaml = require("yaml")
+const { parseDuration } = require("./duration")
+const { IMAGE_TYPES, sniffImageType } = require("./image-source")
+
+// Decode a Mela base64 image (raw or data URI) into a buffer with its type
+function decodeMelaImage(image) {
+	if (!image || typeof image !== "string") return null
+	const base64 = image
+		.replace(/^data:[^;,]+;base64,/, "")
+		.replace(/\\\//g, "/")
+		.replace(/\s/g, "")
+	const buffer = Buffer.from(base64, "base64")
+	if (buffer.length === 0) return null
+	const type = sniffImageType(buffer) || IMAGE_TYPES[0]
+	return { buffer, mimeType: type.mimeType, extension: type.extension }
+}
+
+// Build a data URI from a decoded image
+function toDataURI(decoded) {
+	return `data:${decoded.mimeType};base64,${decoded.buffer.toString("base64")}`
+}
+
+// The images of a Mela recipe as data URIs
+function imageDataURIs(recipe) {
+	return (recipe.images || [])
+		.map(decodeMelaImage)
+		.filter((image) => image)
+		.map(toDataURI)
+}
+
+// Format minutes the way Cookbook App YML does ('90 minutes')
+function minutesToCookbookTime(minutes) {
+	return minutes > 0 ? `${minutes} minutes` : ""
+}
+
+// Format minutes as an ISO 8601 duration for schema.org ('PT1H30M')
+function minutesToISODuration(minutes) {
+	if (!minutes) return ""
+	const h = Math.floor(minutes / 60)
+	const m = minutes % 60
+	return `PT${h ? `${h}H` : ""}${m ? `${m}M` : ""}`
+}
+
+function splitLines(text) {
+	if (!text) return []
+	return String(text)
+		.split("\n")
+		.map((line) => line.trim())
+		.filter((line) => line)
+}
+
+// Prep, cook, other and total minutes of a Mela recipe
+function melaTimes(recipe) {
+	const prep = parseDuration(recipe.prepTime)
+	const cook = parseDuration(recipe.cookTime)
+	const other = parseDuration(recipe.otherTime)
+	const total = parseDuration(recipe.totalTime) || prep + cook + other
+	return { prep, cook, other, total }
+}
+
+// Convert a Mela recipe to a Cookbook App style YML document.
+// imageRefs are the already resolved image paths or data URIs.
+function toCookbookYML(recipe, imageRefs = []) {
+	const times = melaTimes(recipe)
+	const data = {
+		name: recipe.title || "",
+		servings: recipe.yield || undefined,
+		source: recipe.link || undefined,
+		image: imageRefs.length > 1 ? imageRefs : imageRefs[0] || undefined,
+		prep_time: minutesToCookbookTime(times.prep) || undefined,
+		cook_time: minutesToCookbookTime(times.cook) || undefined,
+		other_time: minutesToCookbookTime(times.other) || undefined,
+		total_time: minutesToCookbookTime(times.total) || undefined,
+		tags: (recipe.categories || []).join("\n") || undefined,
+		ingredients: splitLines(recipe.ingredients).join("\n") || undefined,
+		directions: splitLines(recipe.instructions).join("\n") || undefined,
+		description: recipe.text || undefined,
+		notes: recipe.notes || undefined,
+		nutritional_info: recipe.nutrition || undefined,
+		favorite: recipe.favorite ? "yes" : undefined,
+		want_to_cook: recipe.wantToCook ? "yes" : undefined,
+		created: recipe.date
+			? `Mela (${Math.round(Number(recipe.date) * 1000)})`
+			: undefined,
+	}
+	return yaml.stringify(data, { lineWidth: 0 })
+}
+
+function escapeHTML(str) {
+	return String(str)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+}
+
+// Group Mela instruction lines into HowToSteps, '# Section' headings become HowToSections
+function toHowTo(lines) {
+	const instructions = []
+	let section = null
+	for (const line of lines) {
+		const heading = line.match(/^#+\s*(.+)$/)
+		if (heading) {
+			section = {
+				"@type": "HowToSection",
+				name: heading[1],
+				itemListElement: [],
+			}
+			instructions.push(section)
+			continue
+		}
+		const step = { "@type": "HowToStep", text: line }
+		if (section) section.itemListElement.push(step)
+		else instructions.push(step)
+	}
+	return instructions
+}
+
+// Flatten HowTo instructions back into lines for display
+function howToLines(instructions) {
+	return instructions.flatMap((item) =>
+		item.itemListElement
+			? [item.name, ...item.itemListElement.map((step) => step.text)]
+			: [item.text]
+	)
+}
+
+// Build the schema.org Recipe object for a Mela recipe
+function toSchemaRecipe(recipe, imageRefs = []) {
+	const times = melaTimes(recipe)
+	const schema = {
+		"@context": "https://schema.org/",
+		"@type": "Recipe",
+		name: recipe.title || "",
+		description: recipe.text || undefined,
+		image: imageRefs.length ? imageRefs : undefined,
+		recipeCategory: recipe.categories?.length ? recipe.categories : undefined,
+		recipeYield: recipe.yield || undefined,
+		prepTime: minutesToISODuration(times.prep) || undefined,
+		cookTime: minutesToISODuration(times.cook) || undefined,
+		totalTime: minutesToISODuration(times.total) || undefined,
+		recipeIngredient: splitLines(recipe.ingredients),
+		recipeInstructions: toHowTo(splitLines(recipe.instructions)),
+		notes: recipe.notes || undefined,
+		nutrition: recipe.nutrition || undefined,
+		url: recipe.link || undefined,
+		dateCreated: recipe.date
+			? new Date(Number(recipe.date) * 1000).toISOString()
+			: undefined,
+	}
+	return JSON.parse(JSON.stringify(schema))
+}
+
+// Convert a Mela recipe to an HTML page carrying schema.org JSON-LD
+function toSchemaHTML(recipe, imageRefs = []) {
+	const schema = toSchemaRecipe(recipe, imageRefs)
+	const jsonLd = JSON.stringify(schema, null, 2).replace(/<\//g, "<\\/")
+	const title = escapeHTML(schema.name)
+	const listItems = (items) =>
+		items.map((item) => `      <li>${escapeHTML(item)}</li>`)
+
+	return [
+		"<!DOCTYPE html>",
+		"<html>",
+		"  <head>",
+		'    <meta charset="utf-8">',
+		`    <title>${title}</title>`,
+		'    <script type="application/ld+json">',
+		jsonLd,
+		"    </script>",
+		"  </head>",
+		"  <body>",
+		`    <h1>${title}</h1>`,
+		...imageRefs.map((src) => `    <img src="${escapeHTML(src)}" alt="">`),
+		...(schema.description
+			? [`    <p>${escapeHTML(schema.description)}</p>`]
+			: []),
+		"    <h2>Ingredients</h2>",
+		"    <ul>",
+		...listItems(schema.recipeIngredient),
+		"    </ul>",
+		"    <h2>Directions</h2>",
+		"    <ol>",
+		...listItems(howToLines(schema.recipeInstructions)),
+		"    </ol>",
+		"  </body>",
+		"</html>",
+		"",
+	].join("\n")
+}
+
+module.exports = {
+	decodeMelaImage,
+	toDataURI,
+	imageDataURIs,
+	escapeHTML,
+	splitLines,
+	minutesToISODuration,
+	toCookbookYML,
+	toSchemaRecipe,
+	toSchemaHTML,
+}
@@ -0,0 +1,239 @@
+// Find recipes that exist in more than one source (e.g. the HTML and YML
+// export of the same Cookbook recipe) and merge them into one record
+
+const { parseIngredients } = require("./ingredients")
+
+// How each field is chosen when duplicates are merged. A strategy is one of
+// the names in STRATEGIES, a parser name ("html", "yml", ...) to prefer that
+// source's value when it has one, or a function (values, entries) => value.
+const DEFAULT_POLICY = {
+	id: "first",
+	title: "richest",
+	text: "richest",
+	images: "richest",
+	categories: "union",
+	yield: "richest",
+	prepTime: "richest",
+	cookTime: "richest",
+	totalTime: "richest",
+	ingredients: "richest",
+	instructions: "richest",
+	notes: "richest",
+	nutrition: "richest",
+	link: "richest",
+	favorite: "any",
+	wantToCook: "any",
+	date: "earliest",
+}
+
+// Ingredient overlap (0-1) needed to treat two recipes with the same title as one
+const DEFAULT_SIMILARITY = 0.5
+
+function isEmpty(value) {
+	if (value === null || value === undefined || value === "") return true
+	return Array.isArray(value) && value.length === 0
+}
+
+// How much content a value carries, used by "richest"
+function richness(value) {
+	if (isEmpty(value)) return 0
+	if (Array.isArray(value)) return value.length
+	if (typeof value === "string") return value.trim().length
+	return 1
+}
+
+const STRATEGIES = {
+	first: (values) => values.find((value) => !isEmpty(value)),
+	richest: (values) =>
+		values.reduce(
+			(best, value) => (richness(value) > richness(best) ? value : best),
+			values[0]
+		),
+	any: (values) => values.some(Boolean),
+	earliest: (values) => {
+		const dates = values.filter((value) => value > 0)
+		return dates.length > 0 ? Math.min(...dates) : values[0]
+	},
+	latest: (values) => {
+		const dates = values.filter((value) => value > 0)
+		return dates.length > 0 ? Math.max(...dates) : values[0]
+	},
+	union: (values) => {
+		const seen = new Set()
+		return values.flat().filter((value) => {
+			const key = String(value).toLowerCase()
+			if (isEmpty(value) || seen.has(key)) return false
+			seen.add(key)
+			return true
+		})
+	},
+}
+
+// "Grandma's Apple Pie!" and "grandmas apple pie" compare equal
+function normalizeTitle(title) {
+	return String(title || "")
+		.normalize("NFKD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase()
+		.replace(/['’]/g, "")
+		.replace(/&/g, " and ")
+		.replace(/[^a-z0-9]+/g, " ")
+		.replace(/\brecipe\b/g, "")
+		.replace(/\s+/g, " ")
+		.trim()
+}
+
+// Compare links without scheme, www, query string, fragment or trailing slash
+function normalizeLink(link) {
+	return String(link || "")
+		.trim()
+		.toLowerCase()
+		.replace(/^[a-z]+:\/\//, "")
+		.replace(/^www\./, "")
+		.replace(/[?#].*$/, "")
+		.replace(/\/+$/, "")
+}
+
+// Set of singular ingredient nouns ("plain flour" and "flour" are both
+// "flour"), ignoring amounts and headings
+function ingredientNames(ingredients) {
+	return new Set(
+		parseIngredients(ingredients)
+			.filter((line) => line.type === "ingredient" && line.item)
+			.map((line) => {
+				const words = line.item.toLowerCase().match(/[a-z]+/g) || []
+				return (words.pop() || "").replace(/(?:es|s)$/, "")
+			})
+			.filter((name) => name)
+	)
+}
+
+// Jaccard similarity of two ingredient lists, null when either is empty
+function ingredientSimilarity(a, b) {
+	const namesA = ingredientNames(a)
+	const namesB = ingredientNames(b)
+	if (namesA.size === 0 || namesB.size === 0) return null
+	const shared = [...namesA].filter((name) => namesB.has(name)).length
+	return shared / (namesA.size + namesB.size - shared)
+}
+
+// Why two recipes are duplicates ("link", "title") or null when they aren't
+function matchReason(a, b, similarity = DEFAULT_SIMILARITY) {
+	const titleA = normalizeTitle(a.title)
+	const sameTitle = titleA !== "" && titleA === normalizeTitle(b.title)
+	const linkA = normalizeLink(a.link)
+	const sameLink = linkA !== "" && linkA === normalizeLink(b.link)
+	if (!sameTitle && !sameLink) return null
+	const overlap = ingredientSimilarity(a.ingredients, b.ingredients)
+	const sameIngredients = overlap !== null && overlap >= similarity
+	// A link can be the author's site (see extractSource) rather than the
+	// recipe's page, so it also needs the title or the ingredients to agree
+	if (sameLink && (sameTitle || sameIngredients)) return "link"
+	// Same title but different or missing ingredients is a different recipe
+	return sameTitle && sameIngredients ? "title" : null
+}
+
+// Group entries ({ recipe, source, format }) that describe the same recipe.
+// Returns arrays of entries, one per distinct recipe, in input order.
+function findDuplicates(entries, options = {}) {
+	const groups = []
+	for (const entry of entries) {
+		const group = groups.find((candidates) =>
+			candidates.some(
+				(candidate) =>
+					matchReason(candidate.recipe, entry.recipe, options.similarity) !==
+					null
+			)
+		)
+		if (group) {
+			group.push(entry)
+		} else {
+			groups.push([entry])
+		}
+	}
+	return groups
+}
+
+// Merge a group of duplicate entries into one recipe under policy.
+// Returns { recipe, fields } where fields maps each field to the source it came from.
+function mergeRecipes(entries, policy = {}) {
+	const rules = { ...DEFAULT_POLICY, ...policy }
+	const keys = [
+		...new Set(entries.flatMap(({ recipe }) => Object.keys(recipe))),
+	]
+	const recipe = {}
+	const fields = {}
+
+	for (const key of keys) {
+		const values = entries.map((entry) => entry.recipe[key])
+		const rule = rules[key] || "richest"
+		let value
+		if (typeof rule === "function") {
+			value = rule(values, entries)
+		} else if (STRATEGIES[rule]) {
+			value = STRATEGIES[rule](values)
+		} else {
+			// A parser name: prefer that source, fall back to the richest value
+			const preferred = entries.find(
+				(entry) => entry.format === rule && !isEmpty(entry.recipe[key])
+			)
+			value = preferred ? preferred.recipe[key] : STRATEGIES.richest(values)
+		}
+		recipe[key] = value
+
+		const from = entries.find(
+			(entry) =>
+				entry.recipe[key] === value ||
+				JSON.stringify(entry.recipe[key]) === JSON.stringify(value)
+		)
+		fields[key] = from ? from.source : "merged"
+	}
+
+	return { recipe, fields }
+}
+
+// Merge duplicates in a list of entries.
+// Returns { recipes, groups, merged } where groups[i] are the entries that
+// make up recipes[i] and merged describes each merge for reporting:
+// { title, reason, sources, fields } with fields listing values taken from
+// anything but the first source.
+function dedupeRecipes(entries, options = {}) {
+	const recipes = []
+	const merged = []
+	const groups = findDuplicates(entries, options)
+	for (const group of groups) {
+		if (group.length === 1) {
+			recipes.push(group[0].recipe)
+			continue
+		}
+		const { recipe, fields } = mergeRecipes(group, options.policy)
+		recipes.push(recipe)
+		merged.push({
+			title: recipe.title,
+			reason:
+				group
+					.slice(1)
+					.map((entry) =>
+						matchReason(group[0].recipe, entry.recipe, options.similarity)
+					)
+					.find((reason) => reason) || "title",
+			sources: group.map((entry) => entry.source),
+			fields: Object.fromEntries(
+				Object.entries(fields).filter(
+					([, source]) => source !== group[0].source
+				)
+			),
+		})
+	}
+	return { recipes, groups, merged }
+}
+
+module.exports = {
+	DEFAULT_POLICY,
+	normalizeTitle,
+	normalizeLink,
+	ingredientSimilarity,
+	findDuplicates,
+	mergeRecipes,
+	dedupeRecipes,
+}
@@ -0,0 +1,152 @@
+// Shared duration parsing for ISO 8601 values, free text and microdata attributes
+
+const { UNICODE_FRACTIONS, FRACTION_CHARS } = require("./quantity")
+
+// Minutes per unit
+const UNIT_MINUTES = [
+	[/^(?:weeks?|wks?|w)$/, 7 * 24 * 60],
+	[/^(?:days?|d)$/, 24 * 60],
+	[/^(?:hours?|hrs?|h)$/, 60],
+	[/^(?:minutes?|mins?|m)$/, 1],
+	[/^(?:seconds?|secs?|s)$/, 1 / 60],
+]
+// Longest spellings first so the alternation prefers them
+const UNIT_PATTERN =
+	"weeks?|wks?|w|days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s"
+
+const ISO_DURATION =
+	/^P(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/i
+
+function toNumber(value) {
+	return value ? parseFloat(value.replace(",", ".")) : 0
+}
+
+// Parse an ISO 8601 duration such as PT1H30M, P1DT2H or PT0.5H into minutes.
+// Returns null when the value is not an ISO duration.
+function parseISODuration(value) {
+	const match = String(value).trim().match(ISO_DURATION)
+	if (!match || value.trim() === "P" || /T$/i.test(value.trim())) return null
+	const [, years, months, weeks, days, hours, minutes, seconds] = match.map(
+		(part, i) => (i === 0 ? part : toNumber(part))
+	)
+	return (
+		years * 365 * 24 * 60 +
+		months * 30 * 24 * 60 +
+		weeks * 7 * 24 * 60 +
+		days * 24 * 60 +
+		hours * 60 +
+		minutes +
+		seconds / 60
+	)
+}
+
+// "an", "one" or a number before "and a half"
+function wholeCount(word) {
+	return /\d/.test(word) ? toNumber(word) : 1
+}
+
+// Rewrite fractions, ranges and number words so the text only holds plain numbers
+function normalizeText(text) {
+	return (
+		text
+			.toLowerCase()
+			// "1½" and "1 ½" → "1.5"
+			.replace(
+				new RegExp(`(\\d+)?\\s*([${FRACTION_CHARS}])`, "g"),
+				(_, whole, fraction) =>
+					String((whole ? parseInt(whole) : 0) + UNICODE_FRACTIONS[fraction])
+			)
+			// "1 1/2" → "1.5", "1/2" → "0.5"
+			.replace(/(\d+)\s+(\d+)\/(\d+)/g, (_, whole, num, den) =>
+				String(parseInt(whole) + parseInt(num) / parseInt(den))
+			)
+			.replace(/(\d+)\/(\d+)/g, (_, num, den) =>
+				String(parseInt(num) / parseInt(den))
+			)
+			// "an hour and a half" and "one and a half hours" → "1.5 hour(s)"
+			.replace(
+				/\b(an?|one|\d+(?:[.,]\d+)?)\s+(hour|day|minute|week)s?\s+and\s+a\s+half\b/g,
+				(_, count, unit) => `${wholeCount(count) + 0.5} ${unit}`
+			)
+			.replace(
+				/\b(one|\d+(?:[.,]\d+)?)\s+and\s+a\s+half\s+(hour|day|minute|week)/g,
+				(_, count, unit) => `${wholeCount(count) + 0.5} ${unit}`
+			)
+			.replace(/\bhalf\s+(?:an?\s+)?(hour|day|minute)/g, "0.5 $1")
+			.replace(/\b(?:an?|one)\s+(hour|day|minute|week)/g, "1 $1")
+			// Ranges use the upper bound: "10-15 minutes" → "15 minutes"
+			.replace(
+				/(\d+(?:[.,]\d+)?)\s*(?:-|–|—|to)\s*(\d+(?:[.,]\d+)?)/g,
+				(_, low, high) => high
+			)
+	)
+}
+
+// Parse free text like "1 hour 30 minutes", "1½ hrs", "90 min" or "10-15 mins"
+function parseTextDuration(value) {
+	const text = normalizeText(String(value))
+
+	const clock = text.trim().match(/^(\d+):(\d{2})(?::(\d{2}))?$/)
+	if (clock) {
+		return (
+			parseInt(clock[1]) * 60 +
+			parseInt(clock[2]) +
+			(clock[3] ? parseInt(clock[3]) / 60 : 0)
+		)
+	}
+
+	const tokenPattern = new RegExp(
+		`(\\d+(?:[.,]\\d+)?)\\s*(${UNIT_PATTERN})(?![a-z])`,
+		"g"
+	)
+	let total = 0
+	let found = false
+	let lastUnit = null
+	let lastEnd = 0
+	let match
+	while ((match = tokenPattern.exec(text))) {
+		const unit = UNIT_MINUTES.find(([pattern]) => pattern.test(match[2]))
+		total += toNumber(match[1]) * unit[1]
+		found = true
+		lastUnit = unit[1]
+		lastEnd = tokenPattern.lastIndex
+	}
+	// A bare number is taken as minutes
+	if (!found) {
+		const bare = text.trim().match(/^(\d+(?:[.,]\d+)?)$/)
+		return bare ? toNumber(bare[1]) : 0
+	}
+	// "1h30" and "1 hr 30": a number left after the hours is minutes
+	const trailing = /^\s*(\d+(?:[.,]\d+)?)\s*$/.exec(text.slice(lastEnd))
+	if (trailing && lastUnit === 60) total += toNumber(trailing[1])
+	return total
+}
+
+// Parse any supported duration into whole minutes (0 when unknown)
+function parseDuration(value) {
+	if (value === null || value === undefined || value === "") return 0
+	if (typeof value === "number") return isNaN(value) ? 0 : Math.round(value)
+	const str = String(value).trim()
+	if (/^P/i.test(str)) {
+		const iso = parseISODuration(str)
+		if (iso !== null) return Math.round(iso)
+	}
+	return Math.round(parseTextDuration(str))
+}
+
+// Format minutes as 'Xh Ym' if >= 60, otherwise 'Xm'
+function formatMinutesToHM(minutes) {
+	if (!minutes || isNaN(minutes)) return ""
+	minutes = parseInt(minutes)
+	if (minutes < 60) return `${minutes}m`
+	const h = Math.floor(minutes / 60)
+	const m = minutes % 60
+	return m === 0 ? `${h}h` : `${h}h ${m}m`
+}
+
+module.exports = {
+	parseDuration,
+	parseISODuration,
+	parseTextDuration,
+	formatMinutesToHM,
+}
@@ -0,0 +1,88 @@
+// Minimal glob support for CLI arguments: *, **, ?, [abc] and {a,b}.
+// Patterns are usually expanded by the shell; this covers quoted patterns and
+// shells that don't expand them.
+
+const fs = require("fs")
+const path = require("path")
+
+function isGlob(pattern) {
+	return /[*?[\]{}]/.test(pattern)
+}
+
+function globToRegExp(pattern) {
+	let source = ""
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i]
+		if (char === "*" && pattern[i + 1] === "*") {
+			// "**/" matches any number of directories, including none
+			const slash = pattern[i + 2] === "/"
+			source += slash ? "(?:.*/)?" : ".*"
+			i += slash ? 2 : 1
+		} else if (char === "*") {
+			source += "[^/]*"
+		} else if (char === "?") {
+			source += "[^/]"
+		} else if (char === "[") {
+			const end = pattern.indexOf("]", i)
+			if (end === -1) {
+				source += "\\["
+			} else {
+				source += `[${pattern.slice(i + 1, end).replace(/^!/, "^")}]`
+				i = end
+			}
+		} else if (char === "{") {
+			const end = pattern.indexOf("}", i)
+			if (end === -1) {
+				source += "\\{"
+			} else {
+				const options = pattern.slice(i + 1, end).split(",")
+				source += `(?:${options
+					.map((option) => option.replace(/[.+^$()|\\]/g, "\\$&"))
+					.join("|")})`
+				i = end
+			}
+		} else {
+			source += char.replace(/[.+^$()|\\]/g, "\\$&")
+		}
+	}
+	return new RegExp(`^${source}$`)
+}
+
+// All files below dir, skipping hidden files and folders
+function walk(dir) {
+	const files = []
+	for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+		if (entry.name.startsWith(".")) continue
+		const entryPath = path.join(dir, entry.name)
+		if (entry.isDirectory()) {
+			files.push(...walk(entryPath))
+		} else if (entry.isFile()) {
+			files.push(entryPath)
+		}
+	}
+	return files
+}
+
+// Files matching a glob pattern, sorted. Paths keep the pattern's prefix,
+// e.g. "recipes/**/*.yml" → ["recipes/YML/pasta.yml", ...]
+function expandGlob(pattern) {
+	const normalized = pattern.split(path.sep).join("/")
+	const parts = normalized.split("/")
+	const firstGlob = parts.findIndex(isGlob)
+	if (firstGlob === -1) return fs.existsSync(pattern) ? [pattern] : []
+
+	const base = parts.slice(0, firstGlob).join("/") || "."
+	if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) return []
+	const regex = globToRegExp(parts.slice(firstGlob).join("/"))
+	return walk(base)
+		.filter((file) =>
+			regex.test(path.relative(base, file).split(path.sep).join("/"))
+		)
+		.sort()
+}
+
+module.exports = {
+	isGlob,
+	globToRegExp,
+	expandGlob,
+}
@@ -0,0 +1,287 @@
+// Recipe extraction for pages without JSON-LD, microdata or RDFa, in the
+// spirit of readability: ingredient and instruction lists are found by their
+// headings, class names and what their items look like, the title and image
+// from Open Graph tags and the page's <h1>.
+// Every field found gets a confidence between 0 and 1.
+
+const { parseIngredientLine } = require("./ingredients")
+
+const INGREDIENT_HEADINGS =
+	/^(ingredients?|what you('ll| will)? need|you('ll| will)? need|shopping list)\b/i
+const INSTRUCTION_HEADINGS =
+	/^(instructions?|method|directions?|preparation|steps|how to make( it)?)\b/i
+const INGREDIENT_CLASSES = /ingredient/i
+const INSTRUCTION_CLASSES = /instruction|direction|method|preparation|step/i
+
+// Elements that can title a section: headings, and short bold or "title" text
+const HEADING_SELECTOR =
+	"h1, h2, h3, h4, h5, h6, strong, b, dt, [class*=title], [class*=heading]"
+const MAX_HEADING_LENGTH = 40
+
+// Page furniture that never holds the recipe
+const SKIP_SELECTOR = "nav, header, footer, aside, form, script, style"
+
+function text(element) {
+	return element.textContent.replace(/\s+/g, " ").trim()
+}
+
+// The text of the page outside SKIP_SELECTOR elements, with a space between
+// elements so "<h1>Cake</h1><p>Serves 4" doesn't run together
+function pageText(element) {
+	const parts = []
+	for (const node of element.childNodes) {
+		if (node.nodeType === 3) parts.push(node.textContent)
+		if (node.nodeType === 1 && !node.matches(SKIP_SELECTOR)) {
+			parts.push(pageText(node))
+		}
+	}
+	return parts.join(" ").replace(/\s+/g, " ").trim()
+}
+
+function meta(document, ...names) {
+	for (const name of names) {
+		for (const attribute of ["property", "name"]) {
+			const element = document.querySelector(`meta[${attribute}="${name}"]`)
+			const content = element && element.getAttribute("content")
+			if (content && content.trim()) return content.trim()
+		}
+	}
+	return ""
+}
+
+function skipped(element) {
+	return Boolean(element.closest(SKIP_SELECTOR))
+}
+
+// 1-6 for <h1>-<h6>, 7 for other heading-like elements
+function headingLevel(element) {
+	const match = /^h([1-6])$/i.exec(element.tagName)
+	return match ? Number(match[1]) : 7
+}
+
+function isHeading(element) {
+	return /^h[1-6]$/i.test(element.tagName)
+}
+
+// element when it is a heading, or the heading it only wraps
+// (<div><h2>Method</h2></div>)
+function headingIn(element) {
+	if (isHeading(element)) return element
+	const heading = element.querySelector("h1, h2, h3, h4, h5, h6")
+	return heading && text(heading) === text(element) ? heading : null
+}
+
+// List items, or else paragraphs, inside element
+function itemsIn(element) {
+	if (element.matches("li")) return [text(element)]
+	const items = element.querySelectorAll("li")
+	if (items.length > 0) return [...items].map(text)
+	if (element.matches("p")) return [text(element)]
+	return [...element.querySelectorAll("p")].map(text)
+}
+
+// The lines following a section heading, up to the next heading (wrapped or
+// not) of the same or a higher level. Lower headings become "# Heading" lines.
+// When the heading has nothing after it, its parent's siblings are tried
+// (headings are often wrapped in their own <div>).
+function sectionLines(heading) {
+	const level = headingLevel(heading)
+	let node = heading
+	for (let depth = 0; depth < 3 && node && !node.matches("body"); depth++) {
+		const lines = []
+		for (let el = node.nextElementSibling; el; el = el.nextElementSibling) {
+			const sibling = headingIn(el)
+			if (sibling && headingLevel(sibling) <= level) break
+			if (sibling) {
+				lines.push(`# ${text(sibling)}`)
+				continue
+			}
+			lines.push(...itemsIn(el))
+		}
+		const found = lines.filter((line) => line && line !== "#")
+		if (found.some((line) => !line.startsWith("#"))) return found
+		node = node.parentElement
+	}
+	return []
+}
+
+// Share of lines that start with an amount or unit, like ingredients do
+function ingredientRatio(lines) {
+	if (lines.length === 0) return 0
+	const ingredients = lines.filter((line) => {
+		const parsed = parseIngredientLine(line)
+		return parsed.type === "ingredient" && (parsed.quantity || parsed.unit)
+	})
+	return ingredients.length / lines.length
+}
+
+// Share of lines that read like instruction steps (sentences)
+function stepRatio(lines) {
+	if (lines.length === 0) return 0
+	return (
+		lines.filter((line) => line.length >= 30 && /[.!]$|\s\w+\s/.test(line))
+			.length / lines.length
+	)
+}
+
+// Find a section by heading text, then by class or id, then by scoring every
+// list on the page. Returns { lines, confidence } or null.
+function findSection(document, headingPattern, classPattern, score, exclude) {
+	const candidates = []
+
+	for (const heading of document.querySelectorAll(HEADING_SELECTOR)) {
+		const title = text(heading)
+		if (skipped(heading) || title.length > MAX_HEADING_LENGTH) continue
+		if (!headingPattern.test(title)) continue
+		const lines = sectionLines(heading)
+		if (lines.length === 0) continue
+		// Class hints or item shapes that agree add confidence
+		const hinted = classPattern.test(
+			`${heading.className} ${heading.parentElement.className}`
+		)
+		candidates.push({
+			lines,
+			confidence: Math.min(
+				0.95,
+				0.7 + (hinted ? 0.1 : 0) + score(lines) * 0.15
+			),
+		})
+	}
+
+	for (const element of document.querySelectorAll("[class], [id]")) {
+		if (skipped(element)) continue
+		if (!classPattern.test(`${element.className} ${element.id}`)) continue
+		if (!element.querySelector("li, p")) continue
+		const lines = itemsIn(element).filter((line) => line)
+		if (lines.length < 2) continue
+		candidates.push({ lines, confidence: 0.5 + score(lines) * 0.2 })
+	}
+
+	for (const list of document.querySelectorAll("ul, ol")) {
+		if (skipped(list) || list.parentElement.closest("li")) continue
+		const lines = [...list.children]
+			.filter((child) => child.matches("li"))
+			.map(text)
+			.filter((line) => line)
+		const ratio = score(lines)
+		if (lines.length < 2 || ratio < 0.5) continue
+		candidates.push({ lines, confidence: 0.2 + ratio * 0.25 })
+	}
+
+	const best = candidates
+		.filter(({ lines }) => !exclude || lines.join("\n") !== exclude.join("\n"))
+		.sort((a, b) => b.confidence - a.confidence)[0]
+	return best
+		? { lines: best.lines, confidence: Math.round(best.confidence * 100) / 100 }
+		: null
+}
+
+function findTitle(document) {
+	const ogTitle = meta(document, "og:title", "twitter:title")
+	const headings = [...document.querySelectorAll("h1")].filter(
+		(h1) => !skipped(h1) && text(h1)
+	)
+	const h1 = headings.length > 0 ? text(headings[0]) : ""
+	if (ogTitle && h1 && ogTitle.toLowerCase().includes(h1.toLowerCase())) {
+		return { value: h1, confidence: 0.95 }
+	}
+	if (ogTitle) return { value: ogTitle, confidence: 0.8 }
+	if (h1) return { value: h1, confidence: headings.length === 1 ? 0.7 : 0.5 }
+	// "Lemon Cake | My Blog" → "Lemon Cake"
+	const title = (document.title || "").split(/\s+[|–—-]\s+/)[0].trim()
+	return title ? { value: title, confidence: 0.4 } : null
+}
+
+function findImage(document) {
+	const ogImage = meta(document, "og:image", "og:image:url", "twitter:image")
+	if (ogImage) return { value: ogImage, confidence: 0.8 }
+	const img = [
+		...document.querySelectorAll("article img, main img, [role=main] img"),
+	].find((image) => image.getAttribute("src"))
+	return img ? { value: img.getAttribute("src"), confidence: 0.4 } : null
+}
+
+// "Serves 4", "Prep time: 20 minutes" and the like in the page text
+function findLabelled(bodyText, pattern) {
+	const match = pattern.exec(bodyText)
+	return match ? { value: match[1].trim(), confidence: 0.6 } : null
+}
+
+// Extract what can be found. Returns { recipe, confidence } where recipe is
+// shaped like a JSON-LD Recipe node and confidence maps Mela field names to
+// the confidence of each field that was found.
+function extractHeuristicRecipe(document) {
+	const bodyText = document.body ? pageText(document.body) : ""
+	const ingredients = findSection(
+		document,
+		INGREDIENT_HEADINGS,
+		INGREDIENT_CLASSES,
+		ingredientRatio
+	)
+	const instructions = findSection(
+		document,
+		INSTRUCTION_HEADINGS,
+		INSTRUCTION_CLASSES,
+		stepRatio,
+		ingredients && ingredients.lines
+	)
+	const description = meta(document, "og:description", "description")
+
+	const fields = {
+		name: ["title", findTitle(document)],
+		description: [
+			"text",
+			description ? { value: description, confidence: 0.6 } : null,
+		],
+		image: ["images", findImage(document)],
+		recipeIngredient: [
+			"ingredients",
+			ingredients && { value: ingredients.lines, ...ingredients },
+		],
+		recipeInstructions: [
+			"instructions",
+			instructions && { value: instructions.lines, ...instructions },
+		],
+		recipeYield: [
+			"yield",
+			findLabelled(
+				bodyText,
+				/\b(?:serves|servings|yield|makes)\s*:?\s*(\d+(?:\s*(?:-|to)\s*\d+)?(?:\s+[a-z]+)?)/i
+			),
+		],
+		prepTime: [
+			"prepTime",
+			findLabelled(
+				bodyText,
+				/\bprep(?:aration)?\s+time\s*:?\s*((?:\d+\s*(?:hours?|hrs?|h|minutes?|mins?|m)\b\s*)+)/i
+			),
+		],
+		cookTime: [
+			"cookTime",
+			findLabelled(
+				bodyText,
+				/\b(?:cook|cooking|baking)\s+time\s*:?\s*((?:\d+\s*(?:hours?|hrs?|h|minutes?|mins?|m)\b\s*)+)/i
+			),
+		],
+		totalTime: [
+			"totalTime",
+			findLabelled(
+				bodyText,
+				/\btotal\s+time\s*:?\s*((?:\d+\s*(?:hours?|hrs?|h|minutes?|mins?|m)\b\s*)+)/i
+			),
+		],
+	}
+
+	const recipe = { "@type": "Recipe" }
+	const confidence = {}
+	for (const [property, [field, found]] of Object.entries(fields)) {
+		if (!found) continue
+		recipe[property] = found.value
+		confidence[field] = found.confidence
+	}
+	return { recipe, confidence }
+}
+
+module.exports = {
+	extractHeuristicRecipe,
+}
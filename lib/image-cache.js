@@ -0,0 +1,88 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+
+function sha256(value) {
+	return crypto.createHash("sha256").update(value).digest("hex")
+}
+
+// On-disk cache of downloaded images.
+// Image bytes are stored once per content hash in blobs/, and urls/ maps each
+// URL to its blob plus the ETag/Last-Modified needed to revalidate it.
+class ImageCache {
+	constructor(dir, options = {}) {
+		this.dir = dir
+		// How long (ms) an entry is used without asking the server again
+		this.maxAge = options.maxAge ?? 30 * 24 * 60 * 60 * 1000
+		// readOnly reads cached images but never writes (dry runs)
+		this.readOnly = Boolean(options.readOnly)
+	}
+
+	entryPath(url) {
+		return path.join(this.dir, "urls", `${sha256(url)}.json`)
+	}
+
+	blobPath(hash) {
+		return path.join(this.dir, "blobs", hash)
+	}
+
+	// Returns { buffer, contentType, etag, lastModified, fetchedAt } or null
+	get(url) {
+		try {
+			const entry = JSON.parse(fs.readFileSync(this.entryPath(url), "utf-8"))
+			return { ...entry, buffer: fs.readFileSync(this.blobPath(entry.blob)) }
+		} catch (e) {
+			return null
+		}
+	}
+
+	isFresh(entry) {
+		return Boolean(entry) && Date.now() - entry.fetchedAt < this.maxAge
+	}
+
+	// Store a download: { buffer, contentType, headers }
+	set(url, download) {
+		const blob = sha256(download.buffer)
+		const entry = {
+			url,
+			blob,
+			contentType: download.contentType,
+			etag: (download.headers && download.headers.etag) || null,
+			lastModified:
+				(download.headers && download.headers["last-modified"]) || null,
+			fetchedAt: Date.now(),
+		}
+		if (this.readOnly) return { ...entry, buffer: download.buffer }
+		fs.mkdirSync(path.join(this.dir, "blobs"), { recursive: true })
+		fs.mkdirSync(path.join(this.dir, "urls"), { recursive: true })
+		if (!fs.existsSync(this.blobPath(blob))) {
+			fs.writeFileSync(this.blobPath(blob), download.buffer)
+		}
+		fs.writeFileSync(this.entryPath(url), JSON.stringify(entry, null, 2))
+		return { ...entry, buffer: download.buffer }
+	}
+
+	// Mark an entry as revalidated (the server answered 304 Not Modified)
+	touch(url) {
+		const entry = this.get(url)
+		if (!entry) return null
+		const { buffer, ...stored } = entry
+		stored.fetchedAt = Date.now()
+		if (!this.readOnly) {
+			fs.writeFileSync(this.entryPath(url), JSON.stringify(stored, null, 2))
+		}
+		return { ...stored, buffer }
+	}
+
+	// Headers for a conditional request that revalidates an entry
+	revalidationHeaders(entry) {
+		const headers = {}
+		if (entry && entry.etag) headers["If-None-Match"] = entry.etag
+		if (entry && entry.lastModified) {
+			headers["If-Modified-Since"] = entry.lastModified
+		}
+		return headers
+	}
+}
+
+module.exports = ImageCache
@@ -0,0 +1,94 @@
+const crypto = require("crypto")
+const Jimp = require("jimp")
+const { parseDataURI } = require("./image-source")
+
+const DEFAULT_OPTIONS = {
+	// Longest side in pixels, larger images are scaled down to fit
+	maxSize: 1600,
+	// JPEG quality (1-100) used when re-encoding
+	quality: 80,
+	// Images narrower or shorter than this are dropped (tracking pixels, icons)
+	minSize: 100,
+	// Perceptual hash distance (0-1) under which two images count as duplicates.
+	// 0 only drops exact copies: different photos of one dish can hash alike.
+	duplicateThreshold: 0,
+}
+
+function sha1(buffer) {
+	return crypto.createHash("sha1").update(buffer).digest("hex")
+}
+
+// Resize, re-encode to JPEG (which strips EXIF) and drop duplicate or tiny images.
+// images are data URLs; resolves { images, dropped } where dropped holds the
+// { index, reason } of every image that was removed.
+async function processImages(images, options = {}) {
+	const { maxSize, quality, minSize, duplicateThreshold } = {
+		...DEFAULT_OPTIONS,
+		...options,
+	}
+	const seenHashes = new Set()
+	const perceptualHashes = []
+	const processed = []
+	const dropped = []
+
+	for (const [index, dataUrl] of images.entries()) {
+		const decoded = parseDataURI(dataUrl)
+		if (!decoded) {
+			dropped.push({ index, reason: "not an image" })
+			continue
+		}
+
+		const hash = sha1(decoded.buffer)
+		if (seenHashes.has(hash)) {
+			dropped.push({ index, reason: "duplicate" })
+			continue
+		}
+		seenHashes.add(hash)
+
+		let image
+		try {
+			image = await Jimp.read(decoded.buffer)
+		} catch (error) {
+			// Formats the codec can't read (e.g. WebP) are embedded unchanged
+			processed.push(dataUrl)
+			continue
+		}
+
+		const { width, height } = image.bitmap
+		if (width < minSize || height < minSize) {
+			dropped.push({ index, reason: `too small (${width}x${height})` })
+			continue
+		}
+
+		if (duplicateThreshold > 0) {
+			const perceptualHash = image.hash()
+			if (
+				perceptualHashes.some(
+					(other) =>
+						Jimp.compareHashes(other, perceptualHash) < duplicateThreshold
+				)
+			) {
+				dropped.push({ index, reason: "duplicate" })
+				continue
+			}
+			perceptualHashes.push(perceptualHash)
+		}
+
+		if (width > maxSize || height > maxSize) {
+			image.scaleToFit(maxSize, maxSize)
+		}
+		// JPEG has no alpha channel, flatten transparent images onto white
+		const output = await image
+			.background(0xffffffff)
+			.quality(quality)
+			.getBufferAsync(Jimp.MIME_JPEG)
+		processed.push(`data:image/jpeg;base64,${output.toString("base64")}`)
+	}
+
+	return { images: processed, dropped }
+}
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	processImages,
+}
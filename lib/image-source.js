@@ -0,0 +1,110 @@
+const fs = require("fs")
+const path = require("path")
+const { fileURLToPath } = require("url")
+
+// Known image signatures, used to check and name image data
+const IMAGE_TYPES = [
+	{ mimeType: "image/jpeg", extension: "jpg", magic: [0xff, 0xd8, 0xff] },
+	{ mimeType: "image/png", extension: "png", magic: [0x89, 0x50, 0x4e, 0x47] },
+	{ mimeType: "image/gif", extension: "gif", magic: [0x47, 0x49, 0x46, 0x38] },
+	{
+		mimeType: "image/webp",
+		extension: "webp",
+		magic: [0x52, 0x49, 0x46, 0x46],
+	},
+]
+
+// Folders Cookbook App exports keep their photos in
+const IMAGE_FOLDERS = ["images", "Images", "photos", "Photos"]
+
+function sniffImageType(buffer) {
+	if (!buffer || buffer.length < 4) return null
+	return (
+		IMAGE_TYPES.find((type) =>
+			type.magic.every((byte, i) => buffer[i] === byte)
+		) || null
+	)
+}
+
+// Decode a data URI (base64 or percent-encoded) into { buffer, mimeType }.
+// The declared type is replaced by the sniffed one when they disagree.
+function parseDataURI(uri) {
+	const match = String(uri).match(/^data:([^,]*?),(.*)$/is)
+	if (!match) return null
+	const params = match[1].split(";").map((p) => p.trim())
+	const data = match[2]
+	let buffer
+	if (params.some((p) => p.toLowerCase() === "base64")) {
+		const base64 = data
+			.replace(/\\\//g, "/")
+			.replace(/\s/g, "")
+			.replace(/-/g, "+")
+			.replace(/_/g, "/")
+		buffer = Buffer.from(base64, "base64")
+	} else {
+		try {
+			buffer = Buffer.from(decodeURIComponent(data), "utf-8")
+		} catch (e) {
+			return null
+		}
+	}
+	if (buffer.length === 0) return null
+
+	const sniffed = sniffImageType(buffer)
+	const mimeType = sniffed ? sniffed.mimeType : params[0].toLowerCase()
+	if (!mimeType.startsWith("image/")) return null
+	return { buffer, mimeType }
+}
+
+// Paths a local image reference may point to, most specific first
+function localImageCandidates(ref, baseDir) {
+	if (/^file:/i.test(ref)) {
+		try {
+			return [fileURLToPath(ref)]
+		} catch (e) {
+			return []
+		}
+	}
+
+	let filePath = ref.split(/[?#]/)[0]
+	try {
+		filePath = decodeURIComponent(filePath)
+	} catch (e) {
+		// Keep the reference as written
+	}
+	const candidates = [
+		path.isAbsolute(filePath) ? filePath : path.resolve(baseDir, filePath),
+	]
+	const name = path.basename(filePath)
+	for (const dir of [baseDir, path.dirname(baseDir)]) {
+		for (const folder of IMAGE_FOLDERS) {
+			candidates.push(path.join(dir, folder, name))
+		}
+	}
+	return candidates.filter((c, i) => candidates.indexOf(c) === i)
+}
+
+// Read a local image reference (relative path, absolute path or file:// URL)
+// resolved against baseDir. Returns { buffer, mimeType, filePath } or null.
+function readLocalImage(ref, baseDir) {
+	for (const filePath of localImageCandidates(ref, baseDir)) {
+		let buffer
+		try {
+			if (!fs.statSync(filePath).isFile()) continue
+			buffer = fs.readFileSync(filePath)
+		} catch (e) {
+			continue
+		}
+		const type = sniffImageType(buffer)
+		if (type) return { buffer, mimeType: type.mimeType, filePath }
+	}
+	return null
+}
+
+module.exports = {
+	IMAGE_TYPES,
+	sniffImageType,
+	parseDataURI,
+	localImageCandidates,
+	readLocalImage,
+}
@@ -0,0 +1,231 @@
+// Structured ingredient parsing: quantity, unit, item and preparation
+
+const { QUANTITY_PATTERN, parseQuantity } = require("./quantity")
+
+// Canonical unit names and the spellings that map to them.
+// Case matters only for the single letter "T" (tablespoon) and "t" (teaspoon).
+const UNITS = {
+	teaspoon: ["teaspoons", "teaspoon", "tsps", "tsp", "tspn", "t"],
+	tablespoon: [
+		"tablespoons",
+		"tablespoon",
+		"tbsps",
+		"tbsp",
+		"tbls",
+		"tbl",
+		"tbs",
+		"T",
+	],
+	cup: ["cups", "cup", "c"],
+	"fluid ounce": ["fluid ounces", "fluid ounce", "fl. oz", "fl oz", "floz"],
+	ounce: ["ounces", "ounce", "oz"],
+	pound: ["pounds", "pound", "lbs", "lb"],
+	milligram: ["milligrams", "milligram", "milligrammes", "milligramme", "mg"],
+	gram: ["grams", "gram", "grammes", "gramme", "gms", "gm", "gr", "g"],
+	kilogram: [
+		"kilograms",
+		"kilogram",
+		"kilogrammes",
+		"kilogramme",
+		"kilos",
+		"kilo",
+		"kgs",
+		"kg",
+	],
+	milliliter: [
+		"milliliters",
+		"milliliter",
+		"millilitres",
+		"millilitre",
+		"mls",
+		"ml",
+	],
+	centiliter: ["centiliters", "centiliter", "centilitres", "centilitre", "cl"],
+	deciliter: ["deciliters", "deciliter", "decilitres", "decilitre", "dl"],
+	liter: ["liters", "liter", "litres", "litre", "l"],
+	pint: ["pints", "pint", "pts", "pt"],
+	quart: ["quarts", "quart", "qts", "qt"],
+	gallon: ["gallons", "gallon", "gal"],
+	pinch: ["pinches", "pinch"],
+	dash: ["dashes", "dash"],
+	drop: ["drops", "drop"],
+	clove: ["cloves", "clove"],
+	can: ["cans", "can", "tins", "tin"],
+	jar: ["jars", "jar"],
+	package: [
+		"packages",
+		"package",
+		"packets",
+		"packet",
+		"pkgs",
+		"pkg",
+		"packs",
+		"pack",
+	],
+	bag: ["bags", "bag"],
+	slice: ["slices", "slice"],
+	piece: ["pieces", "piece", "pcs"],
+	stick: ["sticks", "stick"],
+	bunch: ["bunches", "bunch"],
+	sprig: ["sprigs", "sprig"],
+	stalk: ["stalks", "stalk"],
+	head: ["heads", "head"],
+	handful: ["handfuls", "handful"],
+	sheet: ["sheets", "sheet"],
+	millimeter: ["millimeters", "millimeter", "millimetres", "millimetre", "mm"],
+	centimeter: ["centimeters", "centimeter", "centimetres", "centimetre", "cm"],
+	inch: ["inches", "inch", "in"],
+}
+
+// [spelling, canonical] pairs, longest spelling first so "fl oz" wins over "fl"
+const UNIT_ALIASES = Object.entries(UNITS)
+	.flatMap(([unit, spellings]) => spellings.map((s) => [s, unit]))
+	.sort((a, b) => b[0].length - a[0].length)
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const UNIT_REGEX = new RegExp(
+	`^(${UNIT_ALIASES.map(([s]) => escapeRegExp(s)).join(
+		"|"
+	)})\\.?(?![a-zA-Z])\\s*`,
+	"i"
+)
+
+const UNQUANTIFIED_UNITS = ["pinch", "dash", "handful"]
+
+// Normalise a unit spelling to its canonical name, or null when it isn't one
+function normalizeUnit(unitText) {
+	if (!unitText) return null
+	const text = unitText.trim().replace(/\.$/, "")
+	const exact = UNIT_ALIASES.find(([s]) => s === text)
+	if (exact) return exact[1]
+	const folded = UNIT_ALIASES.find(
+		([s]) => s.length > 1 && s.toLowerCase() === text.toLowerCase()
+	)
+	return folded ? folded[1] : null
+}
+
+// Section headers such as "For the sauce:" or "Topping:"
+function isSectionHeader(line) {
+	const text = line.trim()
+	if (!text || text.length > 50) return false
+	if (new RegExp(`^${QUANTITY_PATTERN}`).test(text)) return false
+	if (/^#/.test(text)) return true
+	if (/:$/.test(text)) return true
+	return (
+		/^for (?:the |a |an )?[\w\s'-]+$/i.test(text) &&
+		text.split(/\s+/).length <= 6
+	)
+}
+
+// Text of a section header without markers: "For the sauce:" → "For the sauce"
+function sectionTitle(line) {
+	return line
+		.trim()
+		.replace(/^#+\s*/, "")
+		.replace(/:$/, "")
+		.trim()
+}
+
+// Parse one ingredient line.
+// Returns { type: "heading", text } for section headers, otherwise
+// { type: "ingredient", raw, quantity, quantityMax, unit, unitText, size, item,
+// preparation, remainder } where remainder is the text after the amount as written
+function parseIngredientLine(line) {
+	const raw = String(line).trim()
+	if (isSectionHeader(raw)) {
+		return { type: "heading", text: sectionTitle(raw) }
+	}
+
+	let rest = raw.replace(/^[-•*·▢]\s*/, "")
+	let quantity = null
+	let quantityMax = null
+
+	const quantityMatch = rest.match(new RegExp(`^(${QUANTITY_PATTERN})\\s*`))
+	if (quantityMatch) {
+		const parsed = parseQuantity(quantityMatch[1])
+		if (parsed) {
+			quantity = parsed.quantity
+			quantityMax = parsed.quantityMax
+			rest = rest.slice(quantityMatch[0].length)
+		}
+	}
+
+	// Package sizes: "1 (400 g) can tomatoes"
+	let size = null
+	const sizeMatch = rest.match(/^\(([^)]*)\)\s*/)
+	if (quantity !== null && sizeMatch) {
+		size = sizeMatch[1].trim()
+		rest = rest.slice(sizeMatch[0].length)
+	}
+
+	let unit = null
+	let unitText = null
+	const unitMatch = rest.match(UNIT_REGEX)
+	const canonical = unitMatch && normalizeUnit(unitMatch[1])
+	// Without a quantity only words like "pinch" ("pinch of salt") count as units
+	if (
+		canonical &&
+		(quantity !== null || UNQUANTIFIED_UNITS.includes(canonical))
+	) {
+		unit = canonical
+		unitText = unitMatch[1]
+		rest = rest.slice(unitMatch[0].length)
+	}
+	rest = rest.replace(/^of\s+/i, "")
+	const remainder = rest.trim()
+
+	// Preparation notes follow a comma or sit in trailing brackets
+	let preparation = null
+	const trailing = rest.match(/\s*\(([^)]*)\)\s*$/)
+	if (trailing) {
+		preparation = trailing[1].trim()
+		rest = rest.slice(0, trailing.index)
+	}
+	const comma = rest.indexOf(",")
+	if (comma !== -1) {
+		const note = rest.slice(comma + 1).trim()
+		preparation = [note, preparation].filter((p) => p).join(", ")
+		rest = rest.slice(0, comma)
+	}
+
+	return {
+		type: "ingredient",
+		raw,
+		quantity,
+		quantityMax,
+		unit,
+		unitText,
+		size,
+		item: rest.trim(),
+		preparation: preparation || null,
+		remainder,
+	}
+}
+
+// Parse ingredients given as newline separated text or an array of lines
+function parseIngredients(ingredients) {
+	const lines = Array.isArray(ingredients)
+		? ingredients
+		: String(ingredients || "").split("\n")
+	return lines
+		.map((line) => String(line).trim())
+		.filter((line) => line)
+		.map(parseIngredientLine)
+}
+
+// Turn section headers into Mela '# Heading' lines, leaving other lines alone
+function formatIngredientHeadings(lines) {
+	return lines.map((line) =>
+		isSectionHeader(line) ? `# ${sectionTitle(line)}` : line
+	)
+}
+
+module.exports = {
+	UNITS,
+	normalizeUnit,
+	isSectionHeader,
+	parseIngredientLine,
+	parseIngredients,
+	formatIngredientHeadings,
+}
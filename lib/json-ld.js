@@ -0,0 +1,99 @@
+// Find the schema.org Recipe node among the JSON-LD scripts of a page
+
+function hasType(node, type) {
+	if (!node || typeof node !== "object") return false
+	const types = [].concat(node["@type"] || [])
+	return types.some(
+		(t) => typeof t === "string" && t.replace(/^.*[/:#]/, "") === type
+	)
+}
+
+// Walk arrays, @graph and nested objects (e.g. WebPage.mainEntity) depth first
+function findNode(value, type, seen = new Set()) {
+	if (!value || typeof value !== "object" || seen.has(value)) return null
+	seen.add(value)
+	if (Array.isArray(value)) {
+		for (const item of value) {
+			const found = findNode(item, type, seen)
+			if (found) return found
+		}
+		return null
+	}
+	if (hasType(value, type)) return value
+	for (const key of Object.keys(value)) {
+		const found = findNode(value[key], type, seen)
+		if (found) return found
+	}
+	return null
+}
+
+// Index every node carrying an @id so references can be resolved
+function indexNodes(value, index = new Map()) {
+	if (!value || typeof value !== "object") return index
+	if (Array.isArray(value)) {
+		value.forEach((item) => indexNodes(item, index))
+		return index
+	}
+	if (value["@id"] && Object.keys(value).length > 1) {
+		index.set(value["@id"], value)
+	}
+	Object.values(value).forEach((item) => indexNodes(item, index))
+	return index
+}
+
+// Replace bare {"@id": ...} references on the recipe's own properties
+function resolveReferences(node, index) {
+	const resolve = (value) => {
+		if (Array.isArray(value)) return value.map(resolve)
+		if (
+			value &&
+			typeof value === "object" &&
+			value["@id"] &&
+			Object.keys(value).length === 1 &&
+			index.has(value["@id"])
+		) {
+			return index.get(value["@id"])
+		}
+		return value
+	}
+	const resolved = {}
+	for (const [key, value] of Object.entries(node)) {
+		resolved[key] = key === "@id" ? value : resolve(value)
+	}
+	return resolved
+}
+
+// Parse every JSON-LD script in the document and return the Recipe node, or null.
+// onError is called with the parse error of any script that is not valid JSON.
+function findRecipeNode(document, onError = () => {}) {
+	const documents = []
+	document
+		.querySelectorAll('script[type="application/ld+json"]')
+		.forEach((script) => {
+			try {
+				documents.push(JSON.parse(script.textContent))
+			} catch (error) {
+				onError(error)
+			}
+		})
+
+	const recipe = findNode(documents, "Recipe")
+	return recipe ? resolveReferences(recipe, indexNodes(documents)) : null
+}
+
+// Turn a schema.org value (string, number, object or array) into plain text
+function textValue(value) {
+	if (value === null || value === undefined) return ""
+	if (Array.isArray(value)) return textValue(value[0])
+	if (typeof value === "object") {
+		return textValue(value.name || value.text || value["@value"] || "")
+	}
+	return String(value).trim()
+}
+
+module.exports = {
+	hasType,
+	findNode,
+	findRecipeNode,
+	textValue,
+}
@@ -0,0 +1,27 @@
+// Run async tasks with at most `concurrency` of them in flight at once.
+// Returns a function that wraps a task: limit(() => download(url))
+function createLimiter(concurrency) {
+	let active = 0
+	const queue = []
+
+	const next = () => {
+		if (active >= concurrency || queue.length === 0) return
+		active++
+		const { task, resolve, reject } = queue.shift()
+		Promise.resolve()
+			.then(task)
+			.then(resolve, reject)
+			.finally(() => {
+				active--
+				next()
+			})
+	}
+
+	return (task) =>
+		new Promise((resolve, reject) => {
+			queue.push({ task, resolve, reject })
+			next()
+		})
+}
+
+module.exports = { createLimiter }
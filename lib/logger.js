@@ -0,0 +1,56 @@
+// Console logger with levels and a progress counter.
+// Any object with error/warn/info/debug methods (console, pino, ...) can be
+// passed to RecipeConverter instead; progress is optional.
+
+const LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 }
+
+function createLogger(options = {}) {
+	const level = LEVELS[options.level] ?? LEVELS.info
+	const stdout = options.stdout || process.stdout
+	const stderr = options.stderr || process.stderr
+	let progressShown = false
+
+	// Clear the progress line so messages don't run into it
+	const clearProgress = () => {
+		if (!progressShown) return
+		stderr.write("\r\x1b[K")
+		progressShown = false
+	}
+
+	const write =
+		(stream, messageLevel) =>
+		(...args) => {
+			if (level < LEVELS[messageLevel]) return
+			clearProgress()
+			stream.write(
+				`${args
+					.map((arg) =>
+						arg instanceof Error
+							? arg.message
+							: typeof arg === "string"
+							? arg
+							: JSON.stringify(arg)
+					)
+					.join(" ")}\n`
+			)
+		}
+
+	return {
+		level: Object.keys(LEVELS).find((name) => LEVELS[name] === level),
+		error: write(stderr, "error"),
+		warn: write(stderr, "warn"),
+		info: write(stdout, "info"),
+		debug: write(stdout, "debug"),
+		// "[12/800] pasta.html" on one updating line, only on a terminal
+		progress(current, total, label = "") {
+			if (level < LEVELS.info || !stderr.isTTY) return
+			const columns = stderr.columns || 80
+			const line = `[${current}/${total}] ${label}`.slice(0, columns - 1)
+			stderr.write(`\r\x1b[K${line}`)
+			progressShown = true
+			if (current >= total) clearProgress()
+		},
+	}
+}
+
+module.exports = { LEVELS, createLogger }
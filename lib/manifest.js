@@ -0,0 +1,76 @@
+const fs = require("fs")
+const crypto = require("crypto")
+
+const MANIFEST_VERSION = 1
+
+// Record of what convertAll produced from each source file, kept in outputDir.
+// files maps a source path (relative to recipesDir) to { hash, parser, outputs }
+// where outputs are .melarecipe file names in outputDir. settings holds the
+// converter options the outputs were made with.
+class Manifest {
+	constructor(filePath, settings = null) {
+		this.filePath = filePath
+		this.settings = settings
+		this.files = {}
+	}
+
+	static hashFile(filePath) {
+		return crypto
+			.createHash("sha256")
+			.update(fs.readFileSync(filePath))
+			.digest("hex")
+	}
+
+	// Read the manifest from disk, staying empty when there is none or it is unreadable
+	load() {
+		try {
+			const data = JSON.parse(fs.readFileSync(this.filePath, "utf-8"))
+			if (data.version === MANIFEST_VERSION) {
+				this.settings = data.settings || null
+				this.files = data.files || {}
+			}
+		} catch (e) {
+			// First run, start from scratch
+		}
+		return this
+	}
+
+	save() {
+		const data = {
+			version: MANIFEST_VERSION,
+			settings: this.settings,
+			files: this.files,
+		}
+		fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2))
+	}
+
+	get(source) {
+		return this.files[source] || null
+	}
+
+	// Record that source (with content hash, read by parser) produced output
+	addOutput(source, { hash, parser }, output) {
+		const entry = this.files[source] || { hash, parser, outputs: [] }
+		if (!entry.outputs.includes(output)) entry.outputs.push(output)
+		this.files[source] = entry
+	}
+
+	sources() {
+		return Object.keys(this.files)
+	}
+
+	// Sources that contributed to an output (more than one when they were merged)
+	sourcesOf(output) {
+		return this.sources().filter((source) =>
+			this.files[source].outputs.includes(output)
+		)
+	}
+
+	outputs() {
+		return [
+			...new Set(Object.values(this.files).flatMap((entry) => entry.outputs)),
+		]
+	}
+}
+
+module.exports = Manifest
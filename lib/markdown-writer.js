@@ -0,0 +1,66 @@
+const yaml = require("yaml")
+const { imageDataURIs, splitLines } = require("./cookbook-writer")
+
+// Front matter with the fields that don't read well in the body
+function frontMatter(recipe) {
+	const data = {
+		title: recipe.title || "",
+		id: recipe.id || undefined,
+		categories: recipe.categories?.length ? recipe.categories : undefined,
+		yield: recipe.yield || undefined,
+		prepTime: recipe.prepTime || undefined,
+		cookTime: recipe.cookTime || undefined,
+		totalTime: recipe.totalTime || undefined,
+		source: recipe.link || undefined,
+		date: recipe.date
+			? new Date(Number(recipe.date) * 1000).toISOString()
+			: undefined,
+		favorite: recipe.favorite || undefined,
+	}
+	return `---\n${yaml.stringify(JSON.parse(JSON.stringify(data)), {
+		lineWidth: 0,
+	})}---`
+}
+
+// Mela lines as a Markdown list, "# Section" headings become ### headings and
+// numbered lists start again after each one
+function markdownList(text, numbered) {
+	let n = 0
+	return splitLines(text)
+		.map((line) => {
+			const heading = line.match(/^#+\s*(.+)$/)
+			if (heading) {
+				n = 0
+				return `\n### ${heading[1]}\n`
+			}
+			n++
+			return numbered ? `${n}. ${line}` : `- ${line}`
+		})
+		.join("\n")
+		.trim()
+}
+
+// Convert a Mela recipe to Markdown with YAML front matter. Images are
+// embedded as data URIs so the file stands on its own.
+function toMarkdown(recipe) {
+	const sections = [frontMatter(recipe), `# ${recipe.title || ""}`]
+	for (const src of imageDataURIs(recipe)) {
+		sections.push(`![${recipe.title || ""}](${src})`)
+	}
+	if (recipe.text) sections.push(recipe.text)
+	if (recipe.ingredients) {
+		sections.push("## Ingredients", markdownList(recipe.ingredients, false))
+	}
+	if (recipe.instructions) {
+		sections.push("## Instructions", markdownList(recipe.instructions, true))
+	}
+	if (recipe.notes) sections.push("## Notes", recipe.notes)
+	if (recipe.nutrition) {
+		sections.push("## Nutrition", markdownList(recipe.nutrition, false))
+	}
+	return `${sections.join("\n\n")}\n`
+}
+
+module.exports = {
+	toMarkdown,
+}
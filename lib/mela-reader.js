@@ -0,0 +1,45 @@
+const fs = require("fs")
+const path = require("path")
+const AdmZip = require("adm-zip")
+
+// Parse the JSON of a single .melarecipe, falling back to the file name for the id
+function parseMelaRecipeJSON(json, fileName) {
+	const recipe = JSON.parse(json)
+	if (!recipe.id && fileName) {
+		recipe.id = path.basename(fileName, path.extname(fileName))
+	}
+	return recipe
+}
+
+// Read a single .melarecipe file
+function readMelaRecipe(filePath) {
+	return parseMelaRecipeJSON(fs.readFileSync(filePath, "utf-8"), filePath)
+}
+
+// Read every .melarecipe entry from a .melarecipes (ZIP) archive
+function readMelaRecipesArchive(filePath) {
+	const zip = new AdmZip(filePath)
+	return zip
+		.getEntries()
+		.filter(
+			(entry) => !entry.isDirectory && entry.entryName.endsWith(".melarecipe")
+		)
+		.map((entry) =>
+			parseMelaRecipeJSON(entry.getData().toString("utf-8"), entry.entryName)
+		)
+}
+
+// Read a .melarecipe or .melarecipes file, always returning an array of recipes
+function readMelaFile(filePath) {
+	if (filePath.endsWith(".melarecipes")) {
+		return readMelaRecipesArchive(filePath)
+	}
+	return [readMelaRecipe(filePath)]
+}
+
+module.exports = {
+	parseMelaRecipeJSON,
+	readMelaRecipe,
+	readMelaRecipesArchive,
+	readMelaFile,
+}
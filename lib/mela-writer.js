@@ -0,0 +1,50 @@
+const archiver = require("archiver")
+const { validateRecipe } = require("./validator")
+const { sanitizeId, recipeId } = require("./recipe-id")
+
+// A recipe coerced to the Mela field spec, with an id that is safe as a file
+// name. Doesn't change recipe.
+function toMelaRecipe(recipe) {
+	const { recipe: mela } = validateRecipe(recipe)
+	mela.id = sanitizeId(mela.id) || recipeId(mela, "uuid")
+	return mela
+}
+
+// The JSON of a .melarecipe file
+function toMelaJSON(recipe) {
+	// Note: MelaRecipe images have this termination that screws with JSON.stringify so manually fix
+	// Unescape slashes in base64 image strings for compatibility with the Mela app
+	return JSON.stringify(toMelaRecipe(recipe), null, 2).replace(/\\\//g, "/")
+}
+
+function createArchive(recipes) {
+	const archive = archiver("zip", { zlib: { level: 9 } })
+	const ids = new Set()
+	for (const recipe of recipes) {
+		const mela = toMelaRecipe(recipe)
+		// Entries can't share a name, Mela would only import one of them
+		const base = mela.id
+		for (let n = 2; ids.has(mela.id); n++) mela.id = `${base}-${n}`
+		ids.add(mela.id)
+		archive.append(toMelaJSON(mela), { name: `${mela.id}.melarecipe` })
+	}
+	return archive
+}
+
+// Zip recipes into a .melarecipes archive held in memory
+function toMelaRecipesBuffer(recipes) {
+	return new Promise((resolve, reject) => {
+		const archive = createArchive(recipes)
+		const chunks = []
+		archive.on("data", (chunk) => chunks.push(chunk))
+		archive.on("end", () => resolve(Buffer.concat(chunks)))
+		archive.on("error", reject)
+		archive.finalize()
+	})
+}
+
+module.exports = {
+	toMelaRecipe,
+	toMelaJSON,
+	toMelaRecipesBuffer,
+}
@@ -0,0 +1,162 @@
+// Find the schema.org Recipe item in HTML microdata or RDFa Lite markup and
+// return it in the same shape as a JSON-LD node, so the JSON-LD extraction
+// handles all three. Only properties inside the Recipe's scope are read;
+// nested items (author, nutrition, HowToStep) become nested objects.
+
+// Microdata: itemscope/itemtype/itemprop, with itemref
+const MICRODATA = {
+	itemSelector: "[itemscope]",
+	isItem: (element) => element.hasAttribute("itemscope"),
+	types: (element) => words(element.getAttribute("itemtype")),
+	names: (element) => words(element.getAttribute("itemprop")),
+	refs: (element) => words(element.getAttribute("itemref")),
+}
+
+// RDFa Lite: typeof/property (vocab and prefixes are only used to strip names)
+const RDFA = {
+	itemSelector: "[typeof]",
+	isItem: (element) => element.hasAttribute("typeof"),
+	types: (element) => words(element.getAttribute("typeof")),
+	names: (element) => words(element.getAttribute("property")),
+	refs: () => [],
+}
+
+// Properties whose value is a URL when they are on a link
+const URL_PROPERTIES = ["url", "image", "sameAs", "thumbnailUrl", "contentUrl"]
+
+// Where an element keeps its value, by tag
+const VALUE_ATTRIBUTES = {
+	meta: "content",
+	img: "src",
+	audio: "src",
+	video: "src",
+	source: "src",
+	iframe: "src",
+	embed: "src",
+	object: "data",
+	data: "value",
+	meter: "value",
+	time: "datetime",
+}
+
+// Older and singular names used by some sites
+const ALIASES = { recipeInstruction: "recipeInstructions" }
+
+const MAX_DEPTH = 8
+
+function words(value) {
+	return (value || "").split(/\s+/).filter((word) => word)
+}
+
+// "http://schema.org/Recipe", "schema:Recipe" → "Recipe"
+function shortName(name) {
+	const short = name.replace(/^.*[/:#]/, "")
+	return ALIASES[short] || short
+}
+
+function text(element) {
+	return element.textContent.replace(/\s+/g, " ").trim()
+}
+
+function propertyValue(element, name) {
+	if (element.hasAttribute("content")) {
+		return element.getAttribute("content").trim()
+	}
+	const tag = element.tagName.toLowerCase()
+	if (["a", "area", "link"].includes(tag) && element.hasAttribute("href")) {
+		if (URL_PROPERTIES.includes(name) || tag === "link") {
+			return element.getAttribute("href").trim()
+		}
+	}
+	const attribute = VALUE_ATTRIBUTES[tag]
+	if (attribute && element.hasAttribute(attribute)) {
+		return element.getAttribute(attribute).trim()
+	}
+	// A list or paragraphs of instructions give one value per step
+	if (name === "recipeInstructions") {
+		const items = element.querySelectorAll("li")
+		const steps = [...(items.length ? items : element.querySelectorAll("p"))]
+			.map(text)
+			.filter((step) => step)
+		if (steps.length > 1) return steps
+	}
+	return text(element)
+}
+
+// Elements carrying properties of item: descendants (and itemref targets) up
+// to, but not into, nested items
+function propertyElements(item, syntax) {
+	const found = []
+	const visit = (element) => {
+		for (const child of element.children) {
+			if (syntax.names(child).length > 0) found.push(child)
+			if (!syntax.isItem(child)) visit(child)
+		}
+	}
+	visit(item)
+	const document = item.ownerDocument
+	for (const id of syntax.refs(item)) {
+		const ref = document.getElementById(id)
+		if (!ref || ref.contains(item)) continue
+		if (syntax.names(ref).length > 0) found.push(ref)
+		if (!syntax.isItem(ref)) visit(ref)
+	}
+	return found
+}
+
+function itemObject(item, syntax, depth = 0) {
+	const node = {}
+	const types = syntax.types(item).map(shortName)
+	if (types.length > 0) node["@type"] = types.length === 1 ? types[0] : types
+
+	const add = (name, value) => {
+		if (value === "" || value === null) return
+		if (!(name in node)) {
+			node[name] = value
+		} else {
+			node[name] = [].concat(node[name], value)
+		}
+	}
+	for (const element of propertyElements(item, syntax)) {
+		const names = syntax.names(element).map(shortName)
+		const value =
+			syntax.isItem(element) && depth < MAX_DEPTH
+				? itemObject(element, syntax, depth + 1)
+				: null
+		for (const name of names) add(name, value || propertyValue(element, name))
+	}
+	return node
+}
+
+function findItem(document, syntax) {
+	const items = [...document.querySelectorAll(syntax.itemSelector)]
+	const recipe =
+		items.find((item) =>
+			syntax.types(item).map(shortName).includes("Recipe")
+		) ||
+		// Untyped or oddly typed items that still look like a recipe
+		items.find((item) =>
+			propertyElements(item, syntax).some((element) =>
+				syntax
+					.names(element)
+					.map(shortName)
+					.some((name) => ["recipeIngredient", "ingredients"].includes(name))
+			)
+		)
+	return recipe ? { ...itemObject(recipe, syntax), "@type": "Recipe" } : null
+}
+
+// The Recipe item in the document's microdata, or null
+function findMicrodataRecipe(document) {
+	return findItem(document, MICRODATA)
+}
+
+// The Recipe item in the document's RDFa Lite markup, or null
+function findRDFaRecipe(document) {
+	return findItem(document, RDFA)
+}
+
+module.exports = {
+	findMicrodataRecipe,
+	findRDFaRecipe,
+}
@@ -0,0 +1,278 @@
+// Nutrition facts from schema.org NutritionInformation objects or free text,
+// normalized into the same "Name: value unit" lines for every recipe
+
+const { NUMBER_PATTERN, parseNumber, formatNumber } = require("./quantity")
+
+// Nutrients that are recognized, in the order they are listed: the
+// schema.org property, the unit amounts are converted to and the names
+// used for them in text (longest first)
+const NUTRIENTS = [
+	{
+		key: "calories",
+		label: "Calories",
+		property: "calories",
+		unit: "kcal",
+		names: ["calories", "energy", "kcal", "cals?"],
+	},
+	{
+		key: "fat",
+		label: "Fat",
+		property: "fatContent",
+		unit: "g",
+		names: ["total fat", "fat"],
+	},
+	{
+		key: "saturatedFat",
+		label: "Saturated fat",
+		property: "saturatedFatContent",
+		unit: "g",
+		names: ["saturated fat", "saturates", "sat\\.? fat"],
+	},
+	{
+		key: "carbohydrates",
+		label: "Carbohydrates",
+		property: "carbohydrateContent",
+		unit: "g",
+		names: ["total carbohydrates?", "carbohydrates?", "carbs?"],
+	},
+	{
+		key: "sugar",
+		label: "Sugar",
+		property: "sugarContent",
+		unit: "g",
+		names: ["total sugars?", "sugars?"],
+	},
+	{
+		key: "fiber",
+		label: "Fiber",
+		property: "fiberContent",
+		unit: "g",
+		names: ["dietary fib(?:er|re)", "fib(?:er|re)"],
+	},
+	{
+		key: "protein",
+		label: "Protein",
+		property: "proteinContent",
+		unit: "g",
+		names: ["proteins?"],
+	},
+	{
+		key: "sodium",
+		label: "Sodium",
+		property: "sodiumContent",
+		unit: "mg",
+		names: ["sodium"],
+	},
+]
+
+// Unit spellings, and how many of the base unit (g or kcal) one of each is
+const UNITS = {
+	g: ["g", 1],
+	gr: ["g", 1],
+	gram: ["g", 1],
+	grams: ["g", 1],
+	mg: ["mg", 1e-3],
+	milligram: ["mg", 1e-3],
+	milligrams: ["mg", 1e-3],
+	µg: ["µg", 1e-6],
+	mcg: ["µg", 1e-6],
+	ug: ["µg", 1e-6],
+	kcal: ["kcal", 1],
+	kcals: ["kcal", 1],
+	cal: ["kcal", 1],
+	cals: ["kcal", 1],
+	calorie: ["kcal", 1],
+	calories: ["kcal", 1],
+	kj: ["kJ", 1 / 4.184],
+	kilojoules: ["kJ", 1 / 4.184],
+}
+const MASS_UNITS = ["g", "mg", "µg"]
+
+const UNIT_PATTERN = Object.keys(UNITS)
+	.sort((a, b) => b.length - a.length)
+	.join("|")
+const AMOUNT = new RegExp(
+	`^(${NUMBER_PATTERN})\\s*(${UNIT_PATTERN})?\\.?` +
+		// "12g 18%", "12 g (18% DV)"
+		`(?:\\s*\\(?\\d+(?:[.,]\\d+)?\\s*%[^)]*\\)?)?$`,
+	"i"
+)
+
+const NAME_PATTERN = NUTRIENTS.flatMap(({ names }) => names).join("|")
+// "Fat: 12 g", "of which saturates 3g", "Protein - 5 grams"
+const NAME_FIRST = new RegExp(
+	`^(?:of which\\s+)?(${NAME_PATTERN})\\b\\s*[:=–-]?\\s*(.+)$`,
+	"i"
+)
+// "12 g fat", "250 calories"
+const AMOUNT_FIRST = new RegExp(
+	`^(${NUMBER_PATTERN}\\s*(?:${UNIT_PATTERN})?)\\.?\\s+(?:of\\s+)?(${NAME_PATTERN})$`,
+	"i"
+)
+
+// "saturatedFatContent" → "Saturated fat"
+function propertyLabel(key) {
+	if (key === "servingSize") return "Serving size"
+	const words = key
+		.replace(/Content$/, "")
+		.replace(/([a-z])([A-Z])/g, "$1 $2")
+		.toLowerCase()
+	return words.charAt(0).toUpperCase() + words.slice(1)
+}
+
+function nutrientNamed(name) {
+	return NUTRIENTS.find(({ names }) =>
+		new RegExp(`^(?:${names.join("|")})$`, "i").test(name.trim())
+	)
+}
+
+// "12 g", "0.5g", "250" → { value, unit } in the nutrient's unit, null when
+// the amount can't be read or is in a unit that doesn't convert
+function parseAmount(text, nutrient) {
+	const match = AMOUNT.exec(String(text).trim())
+	if (!match) return null
+	const value = parseNumber(match[1])
+	if (isNaN(value)) return null
+	if (!match[2]) return { value, unit: nutrient.unit }
+	const [unit, size] = UNITS[match[2].toLowerCase()]
+	const [, targetSize] = UNITS[nutrient.unit]
+	const convertible =
+		unit === nutrient.unit ||
+		(MASS_UNITS.includes(unit) && MASS_UNITS.includes(nutrient.unit)) ||
+		(["kcal", "kJ"].includes(unit) && nutrient.unit === "kcal")
+	if (!convertible) return null
+	return { value: (value * size) / targetSize, unit: nutrient.unit }
+}
+
+function emptyNutrition() {
+	return { servingSize: "", nutrients: {}, other: [] }
+}
+
+function addNutrient(nutrition, nutrient, amount) {
+	if (!nutrition.nutrients[nutrient.key]) {
+		nutrition.nutrients[nutrient.key] = amount
+	}
+}
+
+function parseObject(object, nutrition) {
+	for (const [key, raw] of Object.entries(object)) {
+		if (key.startsWith("@") || raw === null || raw === undefined) continue
+		const value = [].concat(raw).join(", ").trim()
+		if (!value) continue
+		if (key === "servingSize") {
+			nutrition.servingSize = nutrition.servingSize || value
+			continue
+		}
+		const nutrient =
+			NUTRIENTS.find(({ property }) => property === key) ||
+			nutrientNamed(propertyLabel(key))
+		const amount = nutrient && parseAmount(value, nutrient)
+		if (amount) {
+			addNutrient(nutrition, nutrient, amount)
+		} else {
+			nutrition.other.push(`${propertyLabel(key)}: ${value}`)
+		}
+	}
+}
+
+function parseText(text, nutrition) {
+	// Lines, or "Calories 250, Fat 12g; Protein 5g" (but not "1,5 g")
+	const parts = text
+		.split(/\s*(?:[\n;|•·]|,(?=\s|[a-z]))\s*/i)
+		.filter((part) => part)
+	for (const part of parts) {
+		const servingSize = /^serving size\s*[:=-]?\s*(.+)$/i.exec(part)
+		if (servingSize) {
+			nutrition.servingSize = nutrition.servingSize || servingSize[1]
+			continue
+		}
+		let nutrient = null
+		let amount = null
+		let match = NAME_FIRST.exec(part)
+		if (match) {
+			nutrient = nutrientNamed(match[1])
+			amount = parseAmount(match[2], nutrient)
+		}
+		match = !amount && AMOUNT_FIRST.exec(part)
+		if (match) {
+			nutrient = nutrientNamed(match[2])
+			amount = parseAmount(match[1], nutrient)
+		}
+		// A lone "250 kcal" is the calories
+		if (!amount && /kcal|kj|cal/i.test(part)) {
+			nutrient = NUTRIENTS[0]
+			amount = parseAmount(part, nutrient)
+		}
+		if (amount) {
+			addNutrient(nutrition, nutrient, amount)
+		} else {
+			nutrition.other.push(part)
+		}
+	}
+}
+
+// Parse a NutritionInformation object, an array of them, or text into
+// { servingSize, nutrients, other }: nutrients maps the keys of NUTRIENTS to
+// { value, unit }, other keeps lines that aren't known nutrients as written
+function parseNutrition(input) {
+	const nutrition = emptyNutrition()
+	for (const item of [].concat(input || [])) {
+		if (item && typeof item === "object") {
+			parseObject(item, nutrition)
+		} else if (item !== null && item !== undefined) {
+			parseText(String(item), nutrition)
+		}
+	}
+	return nutrition
+}
+
+// Divide the amounts of totals for the whole recipe by the number of
+// servings. Lines in other are left as written. Returns a new nutrition object.
+function perServing(nutrition, servings) {
+	const entries = Object.entries(nutrition.nutrients)
+	if (entries.length === 0) return nutrition
+	const nutrients = {}
+	for (const [key, { value, unit }] of entries) {
+		nutrients[key] = { value: value / servings, unit }
+	}
+	return {
+		...nutrition,
+		servingSize: `1/${formatNumber(servings)} of the recipe`,
+		nutrients,
+	}
+}
+
+// Whole numbers from 10 up, one decimal below
+function formatValue(value) {
+	const rounded = value >= 10 ? Math.round(value) : Math.round(value * 10) / 10
+	return String(rounded)
+}
+
+// "Calories: 250 kcal" lines, known nutrients first in a fixed order
+function formatNutrition(nutrition) {
+	const lines = []
+	if (nutrition.servingSize) {
+		lines.push(`Serving size: ${nutrition.servingSize}`)
+	}
+	for (const { key, label } of NUTRIENTS) {
+		const amount = nutrition.nutrients[key]
+		if (amount)
+			lines.push(`${label}: ${formatValue(amount.value)} ${amount.unit}`)
+	}
+	return [...lines, ...nutrition.other].join("\n")
+}
+
+// Parse and format in one go. options: servings, to divide totals by
+function normalizeNutrition(input, options = {}) {
+	let nutrition = parseNutrition(input)
+	if (options.servings > 0) nutrition = perServing(nutrition, options.servings)
+	return formatNutrition(nutrition)
+}
+
+module.exports = {
+	NUTRIENTS,
+	parseNutrition,
+	perServing,
+	formatNutrition,
+	normalizeNutrition,
+}
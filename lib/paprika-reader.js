@@ -0,0 +1,44 @@
+const fs = require("fs")
+const zlib = require("zlib")
+const AdmZip = require("adm-zip")
+
+// Decode one .paprikarecipe (gzipped JSON, plain JSON is accepted too)
+function decodePaprikaRecipe(buffer) {
+	const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b
+	const json = isGzip ? zlib.gunzipSync(buffer) : buffer
+	return JSON.parse(json.toString("utf-8"))
+}
+
+// Read every recipe from a .paprikarecipes export (a ZIP of .paprikarecipe files)
+function readPaprikaArchive(filePath) {
+	const zip = new AdmZip(filePath)
+	return zip
+		.getEntries()
+		.filter(
+			(entry) =>
+				!entry.isDirectory && entry.entryName.endsWith(".paprikarecipe")
+		)
+		.map((entry) => ({
+			fileName: entry.entryName,
+			data: decodePaprikaRecipe(entry.getData()),
+		}))
+}
+
+// Read a .paprikarecipes archive or a single .paprikarecipe file
+function readPaprikaFile(filePath) {
+	if (filePath.endsWith(".paprikarecipes")) {
+		return readPaprikaArchive(filePath)
+	}
+	return [
+		{
+			fileName: filePath,
+			data: decodePaprikaRecipe(fs.readFileSync(filePath)),
+		},
+	]
+}
+
+module.exports = {
+	decodePaprikaRecipe,
+	readPaprikaArchive,
+	readPaprikaFile,
+}
@@ -0,0 +1,87 @@
+const zlib = require("zlib")
+const crypto = require("crypto")
+const AdmZip = require("adm-zip")
+const { decodeMelaImage } = require("./cookbook-writer")
+const { recipeId } = require("./recipe-id")
+
+// "2023-04-01 18:30:00", the way Paprika writes dates
+function paprikaDate(seconds) {
+	return new Date(Number(seconds) * 1000)
+		.toISOString()
+		.replace("T", " ")
+		.slice(0, 19)
+}
+
+function hostname(link) {
+	try {
+		return new URL(link).hostname.replace(/^www\./, "")
+	} catch (e) {
+		return ""
+	}
+}
+
+// Convert a Mela recipe to the JSON of a .paprikarecipe
+function toPaprikaRecipe(recipe) {
+	const images = (recipe.images || []).map(decodeMelaImage).filter((i) => i)
+	// Paprika identifies recipes by uid, keep it the same on every export
+	const uid = recipeId(recipe, "uuid").toUpperCase()
+	const data = {
+		uid,
+		name: recipe.title || "",
+		description: recipe.text || "",
+		ingredients: recipe.ingredients || "",
+		directions: recipe.instructions || "",
+		notes: recipe.notes || "",
+		nutritional_info: recipe.nutrition || "",
+		servings: recipe.yield || "",
+		prep_time: recipe.prepTime || "",
+		cook_time: recipe.cookTime || "",
+		total_time: recipe.totalTime || "",
+		difficulty: "",
+		rating: 0,
+		source: hostname(recipe.link),
+		source_url: recipe.link || "",
+		image_url: "",
+		categories: recipe.categories || [],
+		on_favorites: Boolean(recipe.favorite),
+		created: recipe.date ? paprikaDate(recipe.date) : "",
+		photo_data: images.length ? images[0].buffer.toString("base64") : null,
+		photos: images.slice(1).map((image, i) => ({
+			name: `${i + 2}`,
+			filename: `${uid}-${i + 2}.${image.extension}`,
+			data: image.buffer.toString("base64"),
+		})),
+	}
+	data.hash = crypto
+		.createHash("sha256")
+		.update(JSON.stringify(data))
+		.digest("hex")
+		.toUpperCase()
+	return data
+}
+
+// A .paprikarecipe file: gzipped JSON
+function toPaprikaRecipeFile(recipe) {
+	return zlib.gzipSync(JSON.stringify(toPaprikaRecipe(recipe)))
+}
+
+// Zip recipes into a .paprikarecipes export held in memory
+async function toPaprikaRecipesBuffer(recipes) {
+	const zip = new AdmZip()
+	const names = new Set()
+	for (const recipe of recipes) {
+		// Entries can't share a name, Paprika would only import one of them
+		const base = recipe.id || recipe.title || "recipe"
+		let name = base
+		for (let n = 2; names.has(name); n++) name = `${base}-${n}`
+		names.add(name)
+		zip.addFile(`${name}.paprikarecipe`, toPaprikaRecipeFile(recipe))
+	}
+	return zip.toBuffer()
+}
+
+module.exports = {
+	toPaprikaRecipe,
+	toPaprikaRecipeFile,
+	toPaprikaRecipesBuffer,
+}
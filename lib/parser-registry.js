@@ -0,0 +1,85 @@
+const fs = require("fs")
+const path = require("path")
+
+// How much of a file is read when sniffing its content
+const SNIFF_BYTES = 4096
+
+function readHead(filePath) {
+	const fd = fs.openSync(filePath, "r")
+	try {
+		const buffer = Buffer.alloc(SNIFF_BYTES)
+		const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0)
+		return buffer.toString("utf-8", 0, bytesRead)
+	} finally {
+		fs.closeSync(fd)
+	}
+}
+
+// Registry of input formats. A parser looks like:
+//   {
+//     name: "html",
+//     extensions: [".html", ".htm"],
+//     detect(content, filePath) { return true/false },  // optional content sniffing
+//     async parse(filePath) { return recipe | [recipes] | null },
+//   }
+// parse must return finished Mela recipe objects, images included.
+class ParserRegistry {
+	constructor() {
+		this.parsers = []
+	}
+
+	register(parser) {
+		if (!parser || !parser.name || typeof parser.parse !== "function") {
+			throw new Error("A parser needs a name and a parse function")
+		}
+		this.unregister(parser.name)
+		this.parsers.push({
+			...parser,
+			extensions: (parser.extensions || []).map((ext) => ext.toLowerCase()),
+		})
+		return this
+	}
+
+	unregister(name) {
+		this.parsers = this.parsers.filter((parser) => parser.name !== name)
+		return this
+	}
+
+	get(name) {
+		return this.parsers.find((parser) => parser.name === name) || null
+	}
+
+	// Every file extension claimed by a parser
+	extensions() {
+		return [...new Set(this.parsers.flatMap((parser) => parser.extensions))]
+	}
+
+	// Find the parser for a file by its extension, sniffing the content when the
+	// extension is unknown or claimed by more than one parser
+	find(filePath) {
+		const ext = path.extname(filePath).toLowerCase()
+		const byExtension = this.parsers.filter((parser) =>
+			parser.extensions.includes(ext)
+		)
+		if (byExtension.length === 1) return byExtension[0]
+
+		const candidates = (byExtension.length ? byExtension : this.parsers).filter(
+			(parser) => typeof parser.detect === "function"
+		)
+		if (candidates.length === 0) return byExtension[0] || null
+
+		let content
+		try {
+			content = readHead(filePath)
+		} catch (error) {
+			return null
+		}
+		return (
+			candidates.find((parser) => parser.detect(content, filePath)) ||
+			byExtension[0] ||
+			null
+		)
+	}
+}
+
+module.exports = ParserRegistry
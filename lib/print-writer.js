@@ -0,0 +1,116 @@
+const { imageDataURIs, escapeHTML, splitLines } = require("./cookbook-writer")
+
+const STYLE = `
+      body { font-family: Georgia, serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+      h1 { text-align: center; font-size: 2.5rem; }
+      .contents { columns: 2; }
+      .contents a { color: inherit; text-decoration: none; }
+      .recipe { break-before: page; page-break-before: always; }
+      .recipe img { max-width: 100%; max-height: 320px; display: block; margin: 1rem auto; }
+      .meta { color: #555; font-style: italic; }
+      .columns { display: grid; grid-template-columns: 1fr 2fr; gap: 2rem; }
+      li { margin-bottom: 0.3rem; }
+      h4 { margin: 1rem 0 0.3rem; }
+      .notes, .nutrition { white-space: pre-line; font-size: 0.9rem; }
+      @media print { body { margin: 0; max-width: none; } .columns { break-inside: avoid; } }`
+
+// Mela lines as an HTML list, "# Section" headings start a new list
+function htmlList(text, tag) {
+	const html = []
+	let open = false
+	for (const line of splitLines(text)) {
+		const heading = line.match(/^#+\s*(.+)$/)
+		if (heading || !open) {
+			if (open) html.push(`</${tag}>`)
+			if (heading) html.push(`<h4>${escapeHTML(heading[1])}</h4>`)
+			html.push(`<${tag}>`)
+			open = true
+			if (heading) continue
+		}
+		html.push(`<li>${escapeHTML(line)}</li>`)
+	}
+	if (open) html.push(`</${tag}>`)
+	return html.map((line) => `        ${line}`).join("\n")
+}
+
+function recipeSection(recipe, anchor) {
+	const meta = [
+		recipe.yield,
+		recipe.prepTime && `Prep ${recipe.prepTime}`,
+		recipe.cookTime && `Cook ${recipe.cookTime}`,
+		recipe.totalTime && `Total ${recipe.totalTime}`,
+	].filter((part) => part)
+	const image = imageDataURIs(recipe)[0]
+	return [
+		`    <section class="recipe" id="${anchor}">`,
+		`      <h2>${escapeHTML(recipe.title || "")}</h2>`,
+		...(meta.length
+			? [`      <p class="meta">${escapeHTML(meta.join(" · "))}</p>`]
+			: []),
+		...(image ? [`      <img src="${image}" alt="">`] : []),
+		...(recipe.text ? [`      <p>${escapeHTML(recipe.text)}</p>`] : []),
+		'      <div class="columns">',
+		"        <div>",
+		"        <h3>Ingredients</h3>",
+		htmlList(recipe.ingredients, "ul"),
+		"        </div>",
+		"        <div>",
+		"        <h3>Instructions</h3>",
+		htmlList(recipe.instructions, "ol"),
+		"        </div>",
+		"      </div>",
+		...(recipe.notes
+			? [
+					"      <h3>Notes</h3>",
+					`      <p class="notes">${escapeHTML(recipe.notes)}</p>`,
+			  ]
+			: []),
+		...(recipe.nutrition
+			? [
+					"      <h3>Nutrition</h3>",
+					`      <p class="nutrition">${escapeHTML(recipe.nutrition)}</p>`,
+			  ]
+			: []),
+		...(recipe.link
+			? [`      <p class="meta">Source: ${escapeHTML(recipe.link)}</p>`]
+			: []),
+		"    </section>",
+	].join("\n")
+}
+
+// One self-contained HTML page with every recipe, sorted by title, behind a
+// table of contents. Each recipe starts on a new page when printed.
+function toPrintableCookbook(recipes, options = {}) {
+	const title = escapeHTML(options.title || "Recipes")
+	const sorted = [...recipes].sort((a, b) =>
+		String(a.title || "").localeCompare(String(b.title || ""))
+	)
+	const anchors = sorted.map((recipe, i) => `recipe-${i + 1}`)
+	return [
+		"<!DOCTYPE html>",
+		"<html>",
+		"  <head>",
+		'    <meta charset="utf-8">',
+		`    <title>${title}</title>`,
+		`    <style>${STYLE}\n    </style>`,
+		"  </head>",
+		"  <body>",
+		`    <h1>${title}</h1>`,
+		'    <ol class="contents">',
+		...sorted.map(
+			(recipe, i) =>
+				`      <li><a href="#${anchors[i]}">${escapeHTML(
+					recipe.title || ""
+				)}</a></li>`
+		),
+		"    </ol>",
+		...sorted.map((recipe, i) => recipeSection(recipe, anchors[i])),
+		"  </body>",
+		"</html>",
+		"",
+	].join("\n")
+}
+
+module.exports = {
+	toPrintableCookbook,
+}
@@ -0,0 +1,80 @@
+// Number parsing shared by durations and ingredient quantities
+
+const UNICODE_FRACTIONS = {
+	"½": 1 / 2,
+	"⅓": 1 / 3,
+	"⅔": 2 / 3,
+	"¼": 1 / 4,
+	"¾": 3 / 4,
+	"⅕": 1 / 5,
+	"⅖": 2 / 5,
+	"⅗": 3 / 5,
+	"⅘": 4 / 5,
+	"⅙": 1 / 6,
+	"⅚": 5 / 6,
+	"⅛": 1 / 8,
+	"⅜": 3 / 8,
+	"⅝": 5 / 8,
+	"⅞": 7 / 8,
+}
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join("")
+
+// A single number as written in recipes: "2", "1.5", "1,5", "1/2", "1 1/2", "1½", "½"
+const NUMBER_PATTERN = `(?:\\d+\\s*[${FRACTION_CHARS}]|[${FRACTION_CHARS}]|\\d+\\s+\\d+\\s*[/⁄]\\s*\\d+|\\d+\\s*[/⁄]\\s*\\d+|\\d+(?:[.,]\\d+)?)`
+
+// A number or a range of numbers: "2-3", "2 – 3", "2 to 3", "2 or 3"
+const QUANTITY_PATTERN = `${NUMBER_PATTERN}(?:\\s*(?:-|–|—|to|or)\\s*${NUMBER_PATTERN})?`
+
+// Parse one number in any of the NUMBER_PATTERN forms, NaN when it isn't one
+function parseNumber(text) {
+	const str = String(text).trim()
+	let match = str.match(new RegExp(`^(\\d+)?\\s*([${FRACTION_CHARS}])$`))
+	if (match) {
+		return (match[1] ? parseInt(match[1]) : 0) + UNICODE_FRACTIONS[match[2]]
+	}
+	match = str.match(/^(?:(\d+)\s+)?(\d+)\s*[/⁄]\s*(\d+)$/)
+	if (match) {
+		const whole = match[1] ? parseInt(match[1]) : 0
+		return whole + parseInt(match[2]) / parseInt(match[3])
+	}
+	if (/^\d+(?:[.,]\d+)?$/.test(str)) return parseFloat(str.replace(",", "."))
+	return NaN
+}
+
+// Parse a quantity or range into { quantity, quantityMax }, null when there is none
+function parseQuantity(text) {
+	const match = String(text)
+		.trim()
+		.match(
+			new RegExp(
+				`^(${NUMBER_PATTERN})(?:\\s*(?:-|–|—|to|or)\\s*(${NUMBER_PATTERN}))?$`
+			)
+		)
+	if (!match) return null
+	const quantity = parseNumber(match[1])
+	const quantityMax = match[2] ? parseNumber(match[2]) : null
+	return { quantity, quantityMax }
+}
+
+// Format a number for display, using unicode fractions for common values
+function formatNumber(value) {
+	if (value === null || value === undefined || isNaN(value)) return ""
+	const whole = Math.floor(value + 1e-9)
+	const rest = value - whole
+	if (rest < 0.01) return String(whole)
+	const fraction = Object.entries(UNICODE_FRACTIONS).find(
+		([, amount]) => Math.abs(amount - rest) < 0.01
+	)
+	if (fraction) return whole ? `${whole}${fraction[0]}` : fraction[0]
+	return String(Math.round(value * 100) / 100)
+}
+
+module.exports = {
+	UNICODE_FRACTIONS,
+	FRACTION_CHARS,
+	NUMBER_PATTERN,
+	QUANTITY_PATTERN,
+	parseNumber,
+	parseQuantity,
+	formatNumber,
+}
@@ -0,0 +1,73 @@
+// Recipe ids. Mela uses the id to update a recipe it already has instead of
+// importing a duplicate, so ids must come out the same on every run.
+
+const crypto = require("crypto")
+const { v5: uuidv5 } = require("uuid")
+const { normalizeTitle, normalizeLink } = require("./dedupe")
+
+// basename: the source file name (default), uuid: a UUIDv5 of the source link
+// and title, hash: a hash of the title, ingredients and instructions
+const ID_STRATEGIES = ["basename", "uuid", "hash"]
+
+// Fixed namespace so the same link and title always give the same UUID
+const ID_NAMESPACE = "f49ef96b-58a1-4888-a72d-056eae1ffc1c"
+
+function shortHash(value, length = 8) {
+	return crypto
+		.createHash("sha256")
+		.update(String(value))
+		.digest("hex")
+		.slice(0, length)
+}
+
+// Make an id safe as a file and archive entry name: "Crème Brûlée (v2)" → "Creme-Brulee-v2"
+function sanitizeId(id) {
+	return String(id || "")
+		.normalize("NFKD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.replace(/[^A-Za-z0-9._-]+/g, "-")
+		.replace(/-{2,}/g, "-")
+		.replace(/^[-.]+|[-.]+$/g, "")
+		.slice(0, 100)
+}
+
+function uuidFor(recipe) {
+	return uuidv5(
+		`${normalizeLink(recipe.link)}\n${normalizeTitle(recipe.title)}`,
+		ID_NAMESPACE
+	)
+}
+
+function contentHash(recipe) {
+	const content = [recipe.title, recipe.ingredients, recipe.instructions]
+		.map((value) =>
+			String(value || "")
+				.replace(/\s+/g, " ")
+				.trim()
+				.toLowerCase()
+		)
+		.join("\n")
+	return shortHash(content, 16)
+}
+
+// The id a recipe gets under a strategy. basename keeps the id the parser
+// derived from the file name, falling back to a UUID when nothing is left of it.
+function recipeId(recipe, strategy = "basename") {
+	if (strategy === "uuid") return uuidFor(recipe)
+	if (strategy === "hash") return contentHash(recipe)
+	return sanitizeId(recipe.id) || uuidFor(recipe)
+}
+
+// A different id for a recipe whose id is taken, derived from its source
+// (file path or URL) so it is the same on the next run
+function collisionId(id, source, strategy = "basename") {
+	if (strategy === "uuid") return uuidv5(`${id}\n${source}`, ID_NAMESPACE)
+	return `${id}-${shortHash(source)}`
+}
+
+module.exports = {
+	ID_STRATEGIES,
+	sanitizeId,
+	recipeId,
+	collisionId,
+}
@@ -0,0 +1,52 @@
+// Recipe scaling based on the number in the yield ("Serves 4-6", "Makes 12 cookies")
+
+const { QUANTITY_PATTERN, parseQuantity, formatNumber } = require("./quantity")
+
+const YIELD_QUANTITY = new RegExp(`(^|[^\\d/⁄.,])(${QUANTITY_PATTERN})`)
+
+// Find the first quantity in a yield. Returns { quantity, quantityMax } or null.
+function parseYield(yieldText) {
+	const match = String(yieldText || "").match(YIELD_QUANTITY)
+	if (!match) return null
+	const parsed = parseQuantity(match[2])
+	return parsed && parsed.quantity > 0 ? parsed : null
+}
+
+// Factor that scales a recipe with this yield to the target, null when the
+// yield has no number to scale from
+function scaleFactor(yieldText, target) {
+	const parsed = parseYield(yieldText)
+	if (!parsed || !(target > 0)) return null
+	return target / parsed.quantity
+}
+
+// Replace the yield's first quantity with the target and scale the others
+// with it: "Serves 4-6" → "Serves 8", "4, 4 servings" → "8, 8 servings"
+function scaleYield(yieldText, target) {
+	const text = String(yieldText || "")
+	const parsed = parseYield(text)
+	if (!parsed) return text
+	const factor = target / parsed.quantity
+	let first = true
+	return text.replace(
+		new RegExp(YIELD_QUANTITY.source, "g"),
+		(match, prefix, quantity) => {
+			if (first) {
+				first = false
+				return `${prefix}${formatNumber(target)}`
+			}
+			const other = parseQuantity(quantity)
+			if (!other) return match
+			const scaled = [other.quantity, other.quantityMax]
+				.filter((value) => value !== null)
+				.map((value) => formatNumber(value * factor))
+			return `${prefix}${scaled.join("–")}`
+		}
+	)
+}
+
+module.exports = {
+	parseYield,
+	scaleFactor,
+	scaleYield,
+}
@@ -0,0 +1,235 @@
+// Local web UI: upload HTML, YML or ZIP files, preview and edit the parsed
+// recipes and download them as .melarecipe or .melarecipes.
+// Binds to localhost only; uploads are parsed by a RecipeConverter in dry run mode.
+
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const http = require("http")
+const AdmZip = require("adm-zip")
+const { toMelaJSON, toMelaRecipesBuffer } = require("./mela-writer")
+
+const HOST = "127.0.0.1"
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024
+// Limits for the unpacked contents of a ZIP upload (zip bombs)
+const MAX_ZIP_ENTRIES = 1000
+const MAX_ZIP_BYTES = 200 * 1024 * 1024
+
+const PAGE = path.join(__dirname, "server-page.html")
+
+class HttpError extends Error {
+	constructor(status, message) {
+		super(message)
+		this.status = status
+	}
+}
+
+function readBody(req, limit = MAX_UPLOAD_BYTES) {
+	return new Promise((resolve, reject) => {
+		const chunks = []
+		let size = 0
+		// Read past the limit so the error response can still be sent
+		req.on("data", (chunk) => {
+			size += chunk.length
+			if (size <= limit) chunks.push(chunk)
+		})
+		req.on("end", () =>
+			size > limit
+				? reject(new HttpError(413, "Upload too large"))
+				: resolve(Buffer.concat(chunks))
+		)
+		req.on("error", reject)
+	})
+}
+
+function send(res, status, body, headers = {}) {
+	res.writeHead(status, {
+		"Content-Length": Buffer.byteLength(body),
+		"X-Content-Type-Options": "nosniff",
+		...headers,
+	})
+	res.end(body)
+}
+
+function sendJSON(res, status, data) {
+	send(res, status, JSON.stringify(data), {
+		"Content-Type": "application/json; charset=utf-8",
+	})
+}
+
+// Write the files of a ZIP upload below dir, skipping entries that would end
+// up outside it. The entry count and unpacked size are checked before anything
+// is written; adm-zip never inflates an entry past the size it declares.
+function extractZip(buffer, dir) {
+	let entries
+	try {
+		entries = new AdmZip(buffer).getEntries()
+	} catch (e) {
+		throw new HttpError(400, "Not a valid ZIP file")
+	}
+	if (entries.length > MAX_ZIP_ENTRIES) {
+		throw new HttpError(413, `ZIP file has more than ${MAX_ZIP_ENTRIES} files`)
+	}
+	const size = entries.reduce((total, entry) => total + entry.header.size, 0)
+	if (size > MAX_ZIP_BYTES) {
+		throw new HttpError(413, "ZIP file too large when unpacked")
+	}
+
+	const files = []
+	for (const entry of entries) {
+		if (entry.isDirectory) continue
+		const filePath = path.resolve(dir, entry.entryName)
+		if (!filePath.startsWith(dir + path.sep)) continue
+		if (path.basename(filePath).startsWith(".")) continue
+		fs.mkdirSync(path.dirname(filePath), { recursive: true })
+		fs.writeFileSync(filePath, entry.getData())
+		files.push(filePath)
+	}
+	return files.sort()
+}
+
+// Parse one uploaded file (a ZIP is unpacked and each file in it parsed) in a
+// temporary folder, so relative images inside a ZIP are found.
+// Resolves { recipes, errors: [{ file, error }] }
+async function parseUpload(converter, fileName, buffer) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "recipe-converter-"))
+	try {
+		const name = path.basename(fileName) || "upload"
+		const isZip = path.extname(name).toLowerCase() === ".zip"
+		let files
+		if (isZip) {
+			files = extractZip(buffer, dir)
+		} else {
+			files = [path.join(dir, name)]
+			fs.writeFileSync(files[0], buffer)
+		}
+
+		const recipes = []
+		const errors = []
+		for (const filePath of files) {
+			const file = isZip ? path.relative(dir, filePath) : name
+			const parser = converter.parsers.find(filePath)
+			if (!parser) {
+				// Images and other files in a ZIP are expected
+				if (!isZip) errors.push({ file, error: "unsupported file type" })
+				continue
+			}
+			recipes.push(...(await converter.parseFile(filePath, parser)))
+			converter.failedFiles
+				.filter(({ source }) => source === filePath)
+				.forEach(({ error }) => errors.push({ file, error }))
+		}
+		if (isZip && recipes.length === 0 && errors.length === 0) {
+			errors.push({ file: name, error: "no recipes found in the ZIP file" })
+		}
+		return { recipes, errors }
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true })
+	}
+}
+
+// Create the server. options: createConverter() returning a RecipeConverter
+// (called for every upload), archiveName for multi-recipe downloads, logger
+function createServer(options) {
+	const logger = options.logger || console
+	const archiveName = options.archiveName || "recipes.melarecipes"
+
+	const routes = {
+		"GET /": async (req, res) => {
+			send(res, 200, fs.readFileSync(PAGE), {
+				"Content-Type": "text/html; charset=utf-8",
+			})
+		},
+
+		// Body: the file, name in the X-File-Name header (URL encoded). Other sites
+		// can't set the header without a CORS preflight, which is never allowed.
+		"POST /api/parse": async (req, res) => {
+			let fileName
+			try {
+				fileName = decodeURIComponent(req.headers["x-file-name"] || "")
+			} catch (e) {
+				throw new HttpError(400, "X-File-Name header is not URL encoded")
+			}
+			if (!fileName) throw new HttpError(400, "X-File-Name header missing")
+			const body = await readBody(req)
+			const result = await parseUpload(
+				options.createConverter(),
+				fileName,
+				body
+			)
+			logger.info(
+				`Parsed ${fileName}: ${result.recipes.length} recipe(s), ${result.errors.length} error(s)`
+			)
+			sendJSON(res, 200, result)
+		},
+
+		// Body: { recipes: [...] }. One recipe gives a .melarecipe, more a .melarecipes
+		"POST /api/download": async (req, res) => {
+			// A JSON content type can't be sent cross-site without a CORS preflight
+			if (!/^application\/json/.test(req.headers["content-type"] || "")) {
+				throw new HttpError(415, "Expected application/json")
+			}
+			let recipes
+			try {
+				recipes = JSON.parse((await readBody(req)).toString("utf-8")).recipes
+			} catch (e) {
+				throw new HttpError(400, "Invalid JSON")
+			}
+			if (!Array.isArray(recipes) || recipes.length === 0) {
+				throw new HttpError(400, "No recipes to download")
+			}
+			if (recipes.length === 1) {
+				const json = toMelaJSON(recipes[0])
+				const { id } = JSON.parse(json)
+				send(res, 200, json, {
+					"Content-Type": "application/json; charset=utf-8",
+					"Content-Disposition": `attachment; filename="${id}.melarecipe"`,
+				})
+				return
+			}
+			send(res, 200, await toMelaRecipesBuffer(recipes), {
+				"Content-Type": "application/zip",
+				"Content-Disposition": `attachment; filename="${archiveName}"`,
+			})
+		},
+	}
+
+	return http.createServer(async (req, res) => {
+		const route = routes[`${req.method} ${req.url.split("?")[0]}`]
+		try {
+			if (!route) throw new HttpError(404, "Not found")
+			// Only accept requests addressed to this machine (DNS rebinding)
+			const host = (req.headers.host || "").replace(/:\d+$/, "")
+			if (!["localhost", HOST, "[::1]"].includes(host)) {
+				throw new HttpError(403, "Forbidden")
+			}
+			await route(req, res)
+		} catch (error) {
+			if (!(error instanceof HttpError)) logger.error(error)
+			if (!res.headersSent) {
+				sendJSON(res, error.status || 500, { error: error.message })
+			}
+		}
+	})
+}
+
+// Start the server on localhost, resolving with its URL once it is listening
+function startServer(options) {
+	const server = createServer(options)
+	return new Promise((resolve, reject) => {
+		server.on("error", reject)
+		server.listen(options.port ?? 8080, HOST, () => {
+			const { port } = server.address()
+			resolve({ server, url: `http://${HOST}:${port}/` })
+		})
+	})
+}
+
+module.exports = {
+	MAX_UPLOAD_BYTES,
+	MAX_ZIP_ENTRIES,
+	MAX_ZIP_BYTES,
+	parseUpload,
+	createServer,
+	startServer,
+}
@@ -0,0 +1,228 @@
+// Category rules: tidy the categories and keywords recipes come with into a
+// short, consistent list, and add categories based on the title and ingredients.
+//
+// A taxonomy is an object (or a YAML/JSON file holding one) with any of:
+//   case      'keep' (default), 'lower' or 'title' ("main course" → "Main Course")
+//   rewrite   [{ match, replace }] regex replacements, in order; a category
+//             rewritten to "" is dropped
+//   synonyms  { "Main Course": ["mains", "main dish", "entree"] }
+//   deny      categories to drop; allow: the only categories to keep
+//   max       the most categories a recipe keeps
+//   autoTag   { Poultry: ["chicken", "turkey"] } matches words in the title or
+//             ingredients; { Vegetarian: { title: ["vegetarian"] } } only the title
+// Names in deny, allow and autoTag are matched ignoring case; "/pattern/" is a
+// regex.
+
+const fs = require("fs")
+const yaml = require("yaml")
+
+const SETTINGS = [
+	"case",
+	"rewrite",
+	"synonyms",
+	"deny",
+	"allow",
+	"max",
+	"autoTag",
+]
+const CASES = ["keep", "lower", "title"]
+const AUTO_TAG_FIELDS = ["title", "ingredients"]
+
+function fail(message) {
+	throw new Error(`Invalid taxonomy: ${message}`)
+}
+
+function toRegExp(pattern, flags) {
+	try {
+		return new RegExp(pattern, flags)
+	} catch (error) {
+		return fail(`bad pattern "${pattern}" (${error.message})`)
+	}
+}
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+function list(value, setting) {
+	if (value === undefined || value === null) return []
+	const values = [].concat(value)
+	if (values.some((item) => typeof item !== "string")) {
+		fail(`${setting} must be a list of names`)
+	}
+	return values
+}
+
+function normalize(category) {
+	return String(category).replace(/\s+/g, " ").trim()
+}
+
+// "/^best /" → that regex (ignoring case), null for a plain name
+function regexLiteral(name) {
+	const match = /^\/(.+)\/([a-z]*)$/.exec(name)
+	if (!match) return null
+	// "g" would make test() remember where it stopped
+	const flags = match[2].replace(/[gi]/g, "")
+	return toRegExp(match[1], `${flags}i`)
+}
+
+// "Easy" matches exactly "easy" in any case
+function namePattern(name) {
+	return (
+		regexLiteral(name) || toRegExp(`^${escapeRegExp(normalize(name))}$`, "i")
+	)
+}
+
+// "chicken" also matches "chickens" and "Chicken thighs", but not "chickpeas"
+function wordPattern(word) {
+	return (
+		regexLiteral(word) ||
+		toRegExp(`\\b${escapeRegExp(normalize(word))}(?:e?s)?\\b`, "i")
+	)
+}
+
+// Read a taxonomy from a .yml, .yaml or .json file
+function readTaxonomyFile(filePath) {
+	const content = fs.readFileSync(filePath, "utf-8")
+	try {
+		return /\.json$/i.test(filePath) ? JSON.parse(content) : yaml.parse(content)
+	} catch (error) {
+		throw new Error(`Could not read taxonomy ${filePath}: ${error.message}`)
+	}
+}
+
+// Check a taxonomy and turn it into the rules applyTaxonomy uses. Throws
+// when a setting is unknown or malformed.
+function compileTaxonomy(config) {
+	if (!config || typeof config !== "object" || Array.isArray(config)) {
+		fail("expected an object of settings")
+	}
+	for (const key of Object.keys(config)) {
+		if (!SETTINGS.includes(key)) {
+			fail(`unknown setting "${key}", use ${SETTINGS.join(", ")}`)
+		}
+	}
+
+	const rules = {
+		case: config.case || "keep",
+		rewrite: [],
+		synonyms: new Map(),
+		deny: list(config.deny, "deny").map(namePattern),
+		allow: config.allow ? list(config.allow, "allow").map(namePattern) : null,
+		max: null,
+		autoTag: [],
+	}
+	if (!CASES.includes(rules.case)) {
+		fail(`unknown case "${rules.case}", use ${CASES.join(", ")}`)
+	}
+
+	for (const rule of [].concat(config.rewrite || [])) {
+		if (!rule || typeof rule.match !== "string") {
+			fail("each rewrite needs a match pattern")
+		}
+		rules.rewrite.push({
+			match: toRegExp(rule.match, "gi"),
+			replace: rule.replace === undefined ? "" : String(rule.replace),
+		})
+	}
+
+	for (const [name, synonyms] of Object.entries(config.synonyms || {})) {
+		for (const synonym of [name, ...list(synonyms, `synonyms of ${name}`)]) {
+			rules.synonyms.set(normalize(synonym).toLowerCase(), normalize(name))
+		}
+	}
+
+	if (config.max !== undefined && config.max !== null) {
+		if (!Number.isInteger(config.max) || config.max < 1) {
+			fail("max must be a whole number above 0")
+		}
+		rules.max = config.max
+	}
+
+	for (const [name, words] of Object.entries(config.autoTag || {})) {
+		const fields =
+			words && typeof words === "object" && !Array.isArray(words)
+				? words
+				: { title: words, ingredients: words }
+		const patterns = {}
+		for (const [field, fieldWords] of Object.entries(fields)) {
+			if (!AUTO_TAG_FIELDS.includes(field)) {
+				fail(
+					`autoTag ${name}: unknown field "${field}", use title or ingredients`
+				)
+			}
+			patterns[field] = list(fieldWords, `autoTag ${name}`).map(wordPattern)
+		}
+		rules.autoTag.push({ category: normalize(name), patterns })
+	}
+
+	return rules
+}
+
+function foldCase(category, mode) {
+	if (mode === "lower") return category.toLowerCase()
+	if (mode === "title") {
+		return category.replace(
+			/(^|[\s/&-])(\p{Ll})/gu,
+			(match, before, letter) => before + letter.toUpperCase()
+		)
+	}
+	return category
+}
+
+// Rewrite, look up, fold and filter one category. Returns "" to drop it.
+function mapCategory(category, rules) {
+	let name = normalize(category)
+	for (const { match, replace } of rules.rewrite) {
+		name = normalize(name.replace(match, replace))
+	}
+	if (!name) return ""
+	const synonym = rules.synonyms.get(name.toLowerCase())
+	name = synonym || foldCase(name, rules.case)
+	if (rules.deny.some((pattern) => pattern.test(name))) return ""
+	if (rules.allow && !rules.allow.some((pattern) => pattern.test(name))) {
+		return ""
+	}
+	return name
+}
+
+// Categories added by autoTag rules for this recipe
+function autoTags(recipe, rules) {
+	const text = {
+		title: String(recipe.title || ""),
+		// Mela section headings ("# For the sauce") aren't ingredients
+		ingredients: String(recipe.ingredients || "")
+			.split("\n")
+			.filter((line) => !/^\s*#/.test(line))
+			.join("\n"),
+	}
+	return rules.autoTag
+		.filter(({ patterns }) =>
+			Object.entries(patterns).some(([field, fieldPatterns]) =>
+				fieldPatterns.some((pattern) => pattern.test(text[field]))
+			)
+		)
+		.map(({ category }) => category)
+}
+
+// The recipe's categories with the rules applied: auto-tags first, then the
+// recipe's own categories mapped, without duplicates (ignoring case) and cut
+// to rules.max
+function applyTaxonomy(recipe, rules) {
+	const categories = []
+	const seen = new Set()
+	const add = (category) => {
+		if (!category || seen.has(category.toLowerCase())) return
+		seen.add(category.toLowerCase())
+		categories.push(category)
+	}
+	autoTags(recipe, rules).forEach(add)
+	for (const category of [].concat(recipe.categories || [])) {
+		add(mapCategory(category, rules))
+	}
+	return rules.max ? categories.slice(0, rules.max) : categories
+}
+
+module.exports = {
+	readTaxonomyFile,
+	compileTaxonomy,
+	applyTaxonomy,
+}
@@ -0,0 +1,392 @@
+// Metric ⇄ US customary conversion for ingredient amounts and oven temperatures
+
+const { formatNumber } = require("./quantity")
+const { UNITS, parseIngredientLine } = require("./ingredients")
+
+// Millilitres per volume unit
+const VOLUME_ML = {
+	teaspoon: 4.929,
+	tablespoon: 14.787,
+	"fluid ounce": 29.574,
+	cup: 236.588,
+	pint: 473.176,
+	quart: 946.353,
+	gallon: 3785.41,
+	milliliter: 1,
+	centiliter: 10,
+	deciliter: 100,
+	liter: 1000,
+}
+
+// Grams per weight unit
+const WEIGHT_G = {
+	ounce: 28.35,
+	pound: 453.592,
+	gram: 1,
+	kilogram: 1000,
+}
+
+// Centimetres per length unit
+const LENGTH_CM = {
+	inch: 2.54,
+	millimeter: 0.1,
+	centimeter: 1,
+}
+
+const US_UNITS = [
+	"teaspoon",
+	"tablespoon",
+	"fluid ounce",
+	"cup",
+	"pint",
+	"quart",
+	"gallon",
+	"ounce",
+	"pound",
+	"stick",
+	"inch",
+]
+const METRIC_UNITS = [
+	"milliliter",
+	"centiliter",
+	"deciliter",
+	"liter",
+	"gram",
+	"kilogram",
+	"millimeter",
+	"centimeter",
+]
+
+// Grams per US cup for common staples, matched against the end of the item name
+const DENSITIES = [
+	["all-purpose flour", 125],
+	["plain flour", 125],
+	["self-raising flour", 125],
+	["self-rising flour", 125],
+	["bread flour", 130],
+	["wholemeal flour", 120],
+	["whole wheat flour", 120],
+	["almond flour", 96],
+	["flour", 125],
+	["cornflour", 120],
+	["cornstarch", 120],
+	["caster sugar", 200],
+	["superfine sugar", 200],
+	["granulated sugar", 200],
+	["white sugar", 200],
+	["brown sugar", 220],
+	["icing sugar", 120],
+	["powdered sugar", 120],
+	["confectioners sugar", 120],
+	["confectioners' sugar", 120],
+	["sugar", 200],
+	["peanut butter", 258],
+	["butter", 227],
+	["rice", 185],
+	["rolled oats", 90],
+	["oats", 90],
+	["cocoa powder", 85],
+	["cocoa", 85],
+	["honey", 340],
+	["maple syrup", 315],
+	["golden syrup", 340],
+	["chocolate chips", 170],
+	["almond meal", 96],
+	["ground almonds", 96],
+	["breadcrumbs", 110],
+	["desiccated coconut", 80],
+	["shredded coconut", 80],
+	["grated parmesan", 100],
+	["shredded cheese", 113],
+	["grated cheese", 113],
+	["salt", 292],
+]
+
+// Items measured in ounces that might be fluid ounces ("8 oz milk", not "8 oz cream cheese")
+const LIQUIDS =
+	/\b(milk|water|cream|juice|stock|broth|oil|wine|beer|vinegar|sauce|syrup|buttermilk|yogurt|yoghurt)$/i
+
+function densityFor(item) {
+	const name = String(item || "")
+		.toLowerCase()
+		.trim()
+	const match = DENSITIES.find(
+		([key]) => name === key || name.endsWith(` ${key}`)
+	)
+	return match ? match[1] : null
+}
+
+// Round to sensible kitchen precision
+function roundMetric(value) {
+	if (value < 10) return Math.round(value * 10) / 10
+	if (value < 100) return Math.round(value)
+	return Math.round(value / 5) * 5
+}
+
+function roundTo(value, step) {
+	return Math.max(step, Math.round(value / step) * step)
+}
+
+// Pick a display label for a unit, plural when the amount calls for it
+const LABELS = {
+	teaspoon: ["tsp", "tsp"],
+	tablespoon: ["tbsp", "tbsp"],
+	cup: ["cup", "cups"],
+	"fluid ounce": ["fl oz", "fl oz"],
+	ounce: ["oz", "oz"],
+	pound: ["lb", "lb"],
+	gram: ["g", "g"],
+	kilogram: ["kg", "kg"],
+	milliliter: ["ml", "ml"],
+	liter: ["l", "l"],
+	centimeter: ["cm", "cm"],
+	inch: ["inch", "inches"],
+}
+
+function unitLabel(unit, amount) {
+	const labels = LABELS[unit] || [unit, `${unit}s`]
+	return amount > 1 ? labels[1] : labels[0]
+}
+
+// Keep the recipe's own spelling of a unit ("tins", "lbs", "Cups"), switching
+// singular/plural as needed. Abbreviations without a vowel ("tbsp", "kg") stay
+// singular for larger amounts, the way recipes write them.
+function respellUnit(unit, unitText, amount) {
+	const aliases = UNITS[unit] || []
+	const lower = unitText.toLowerCase()
+	const singular = [lower.replace(/s$/, ""), lower.replace(/es$/, "")].find(
+		(word) => word !== lower && aliases.includes(word)
+	)
+	const plural = [`${lower}s`, `${lower}es`].find(
+		(word) => aliases.includes(word) && /[aeiouy]/.test(lower)
+	)
+	let word = lower
+	if (singular && amount <= 1) word = singular
+	if (plural && amount > 1) word = plural
+	if (word === lower) return unitText
+	return unitText[0] !== unitText[0].toLowerCase()
+		? word.charAt(0).toUpperCase() + word.slice(1)
+		: word
+}
+
+// Express a metric amount (grams or millilitres) in display units
+function metricAmount(value, kind) {
+	if (kind === "weight") {
+		return value >= 1000
+			? { amount: roundMetric(value / 1000), unit: "kilogram" }
+			: { amount: roundMetric(value), unit: "gram" }
+	}
+	return value >= 1000
+		? { amount: roundMetric(value / 1000), unit: "liter" }
+		: { amount: roundMetric(value), unit: "milliliter" }
+}
+
+// Express millilitres in cups, tablespoons or teaspoons
+function usVolumeAmount(ml) {
+	const cups = ml / VOLUME_ML.cup
+	if (cups >= 0.25) return { amount: roundTo(cups, 0.25), unit: "cup" }
+	const tbsp = ml / VOLUME_ML.tablespoon
+	if (tbsp >= 1) return { amount: roundTo(tbsp, 0.5), unit: "tablespoon" }
+	return { amount: roundTo(ml / VOLUME_ML.teaspoon, 0.25), unit: "teaspoon" }
+}
+
+// Express grams in ounces or pounds
+function usWeightAmount(grams) {
+	const oz = grams / WEIGHT_G.ounce
+	if (oz >= 16) return { amount: roundTo(oz / 16, 0.25), unit: "pound" }
+	return { amount: roundTo(oz, 0.5), unit: "ounce" }
+}
+
+// Convert one amount of a unit to the target system ("metric" or "us").
+// Returns { amount, unit } when converted, { warning } when it isn't safe,
+// or null when nothing needs converting.
+function convertAmount(amount, unit, item, system) {
+	if (system === "metric") {
+		if (!US_UNITS.includes(unit)) return null
+		// Teaspoons and tablespoons are used in metric kitchens too
+		if (unit === "teaspoon" || unit === "tablespoon") return null
+		if (unit === "ounce" && LIQUIDS.test((item || "").trim())) {
+			return { warning: "ounces of a liquid may be fluid ounces" }
+		}
+		if (unit === "stick") {
+			if (!/butter|margarine/i.test(item || "")) {
+				return { warning: "only sticks of butter can be converted" }
+			}
+			return metricAmount(amount * 113, "weight")
+		}
+		if (LENGTH_CM[unit]) {
+			return {
+				amount: roundMetric(amount * LENGTH_CM[unit]),
+				unit: "centimeter",
+			}
+		}
+		if (WEIGHT_G[unit]) return metricAmount(amount * WEIGHT_G[unit], "weight")
+		const ml = amount * VOLUME_ML[unit]
+		const density = densityFor(item)
+		return density
+			? metricAmount((ml / VOLUME_ML.cup) * density, "weight")
+			: metricAmount(ml, "volume")
+	}
+
+	if (system === "us") {
+		if (!METRIC_UNITS.includes(unit)) return null
+		if (LENGTH_CM[unit]) {
+			return {
+				amount: roundTo((amount * LENGTH_CM[unit]) / 2.54, 0.25),
+				unit: "inch",
+			}
+		}
+		const density = densityFor(item)
+		if (WEIGHT_G[unit]) {
+			const grams = amount * WEIGHT_G[unit]
+			return density
+				? usVolumeAmount((grams / density) * VOLUME_ML.cup)
+				: usWeightAmount(grams)
+		}
+		return usVolumeAmount(amount * VOLUME_ML[unit])
+	}
+
+	return null
+}
+
+// Rewrite a parsed ingredient line (see parseIngredientLine) with its amount
+// multiplied by factor and converted to system. Package sizes ("1 (400 g) can")
+// are kept as written. Returns { line, warnings }.
+function adjustIngredient(parsed, { factor = 1, system = null } = {}) {
+	if (parsed.type !== "ingredient") {
+		return { line: `# ${parsed.text}`, warnings: [] }
+	}
+	if (parsed.quantity === null) {
+		return {
+			line: parsed.raw,
+			warnings: factor !== 1 ? ["no amount to scale"] : [],
+		}
+	}
+
+	let quantity = parsed.quantity * factor
+	let quantityMax =
+		parsed.quantityMax !== null ? parsed.quantityMax * factor : null
+	let unit = parsed.unit
+	const warnings = []
+
+	if (system && parsed.size) {
+		const size = parseIngredientLine(parsed.size)
+		if (size.unit && convertAmount(size.quantity, size.unit, "", system)) {
+			warnings.push(`package size (${parsed.size}) not converted`)
+		}
+	}
+
+	if (system && unit) {
+		const converted = convertAmount(quantity, unit, parsed.item, system)
+		if (converted && converted.warning) {
+			warnings.push(converted.warning)
+		} else if (converted) {
+			if (quantityMax !== null) {
+				const max = convertAmount(quantityMax, unit, parsed.item, system)
+				quantityMax = max.unit === converted.unit ? max.amount : null
+			}
+			quantity = converted.amount
+			unit = converted.unit
+		}
+	}
+
+	if (factor === 1 && unit === parsed.unit) {
+		return { line: parsed.raw, warnings }
+	}
+
+	// Metric amounts read better as decimals, US ones as fractions
+	const format = METRIC_UNITS.includes(unit)
+		? (value) => String(Math.round(value * 100) / 100)
+		: formatNumber
+	const amount = quantityMax !== null ? quantityMax : quantity
+	const parts = [
+		quantityMax !== null
+			? `${format(quantity)}–${format(quantityMax)}`
+			: format(quantity),
+	]
+	if (parsed.size) parts.push(`(${parsed.size})`)
+	if (unit) {
+		parts.push(
+			unit === parsed.unit
+				? respellUnit(unit, parsed.unitText, amount)
+				: unitLabel(unit, amount)
+		)
+	}
+	if (parsed.remainder) parts.push(parsed.remainder)
+	return { line: parts.join(" "), warnings }
+}
+
+// Single letters must be capitals so "15 c. flour" isn't read as Celsius.
+// Groups: value, degree sign or word, unit
+const TEMPERATURE =
+	/(\d{2,3})\s*(°|º|˚|[Dd]egrees?\s*|[Dd]eg\.?\s*)?\s*([Ff]ahrenheit|[Cc]elsius|[Cc]entigrade|F|C)\b/g
+const TEMPERATURE_PAIR = new RegExp(
+	`${TEMPERATURE.source}\\s*(?:\\(|/|or)\\s*${TEMPERATURE.source}\\s*\\)?`,
+	"g"
+)
+
+// Oven temperatures, the only ones read without a degree sign after a bare
+// C or F ("Bake at 180 C", but not "Cook for 10 C")
+const OVEN_RANGE = { C: [100, 300], F: [200, 575] }
+
+function temperatureUnit(text) {
+	return /^f/i.test(text) ? "F" : "C"
+}
+
+function isTemperature(value, degrees, unit) {
+	if (degrees || unit.length > 1) return true
+	const [min, max] = OVEN_RANGE[unit]
+	return Number(value) >= min && Number(value) <= max
+}
+
+function convertTemperature(value, from) {
+	if (from === "F") {
+		const celsius = ((value - 32) * 5) / 9
+		// Oven temperatures round to the nearest 10°C, others stay precise
+		return value >= 250 ? Math.round(celsius / 10) * 10 : Math.round(celsius)
+	}
+	const fahrenheit = (value * 9) / 5 + 32
+	// Oven temperatures round to the nearest 25°F, matching oven dials
+	return value >= 120
+		? Math.round(fahrenheit / 25) * 25
+		: Math.round(fahrenheit)
+}
+
+// Convert temperatures such as "350°F", "180 degrees C" or "180C" in free text.
+// When a recipe already gives both ("350°F (180°C)") only the target is kept.
+// Returns { text, warnings }.
+function convertTemperatures(text, system) {
+	const target = system === "us" ? "F" : "C"
+	const warnings = []
+	if (!text || !system) return { text, warnings }
+
+	let result = String(text).replace(
+		TEMPERATURE_PAIR,
+		(match, v1, d1, u1, v2, d2, u2) => {
+			if (!isTemperature(v1, d1, u1) || !isTemperature(v2, d2, u2)) {
+				return match
+			}
+			if (temperatureUnit(u1) === target) return `${v1}°${target}`
+			if (temperatureUnit(u2) === target) return `${v2}°${target}`
+			return match
+		}
+	)
+	result = result.replace(TEMPERATURE, (match, value, degrees, unit) => {
+		const from = temperatureUnit(unit)
+		if (from === target || !isTemperature(value, degrees, unit)) return match
+		return `${convertTemperature(parseInt(value), from)}°${target}`
+	})
+
+	const bare = result.match(/\b\d{3}\s*degrees\b(?!\s*[FC]\b)/gi)
+	if (bare) {
+		warnings.push(...bare.map((m) => `temperature without a unit: "${m}"`))
+	}
+	return { text: result, warnings }
+}
+
+module.exports = {
+	densityFor,
+	convertAmount,
+	adjustIngredient,
+	convertTemperatures,
+}
@@ -0,0 +1,174 @@
+// Check recipe objects against the Mela field spec before they are written,
+// coercing what can be fixed safely and reporting the rest
+
+const { normalizeNutrition } = require("./nutrition")
+
+const STRING_FIELDS = [
+	"id",
+	"title",
+	"text",
+	"yield",
+	"prepTime",
+	"cookTime",
+	"totalTime",
+	"ingredients",
+	"instructions",
+	"notes",
+	"nutrition",
+	"link",
+]
+const BOOLEAN_FIELDS = ["favorite", "wantToCook"]
+const REQUIRED_FIELDS = ["id", "title"]
+
+// Fields guessed with less confidence than this (see lib/heuristics.js) are
+// reported for review
+const REVIEW_CONFIDENCE = 0.5
+
+// Unix seconds from a number in seconds or milliseconds, or a date string
+function toUnixSeconds(value) {
+	if (value === null || value === undefined || value === "") return null
+	if (typeof value === "number") return value > 1e11 ? value / 1000 : value
+	if (value instanceof Date) return value.getTime() / 1000
+	const number = Number(value)
+	if (!isNaN(number)) return toUnixSeconds(number)
+	const time = Date.parse(String(value))
+	return isNaN(time) ? null : time / 1000
+}
+
+function toText(value) {
+	if (value === null || value === undefined) return ""
+	if (Array.isArray(value))
+		return value
+			.map(toText)
+			.filter((v) => v)
+			.join("\n")
+	if (typeof value === "object") {
+		return toText(value.text || value.name || value["@value"] || "")
+	}
+	return String(value)
+}
+
+// Validate a recipe. Returns { recipe, issues } where recipe is a coerced copy
+// and each issue is { field, level, message }. level is "error" (invalid and
+// left as is), "warning" (suspicious) or "fixed" (coerced in the copy).
+function validateRecipe(input) {
+	const recipe = { ...input }
+	const issues = []
+	const report = (field, level, message) =>
+		issues.push({ field, level, message })
+
+	// Not a Mela field, only kept on the parsed recipe
+	if (recipe.confidence) {
+		for (const [field, confidence] of Object.entries(recipe.confidence)) {
+			if (confidence < REVIEW_CONFIDENCE) {
+				report(
+					field,
+					"warning",
+					`guessed, please review (confidence ${confidence})`
+				)
+			}
+		}
+		delete recipe.confidence
+	}
+
+	if (recipe.nutrition && typeof recipe.nutrition === "object") {
+		const type = [].concat(recipe.nutrition["@type"] || "object").join(", ")
+		recipe.nutrition = normalizeNutrition(recipe.nutrition)
+		report("nutrition", "fixed", `flattened ${type} into text`)
+	}
+
+	for (const field of STRING_FIELDS) {
+		const value = recipe[field]
+		if (value === undefined || value === null) {
+			recipe[field] = ""
+			if (!REQUIRED_FIELDS.includes(field)) continue
+		} else if (typeof value !== "string") {
+			recipe[field] = toText(value)
+			report(field, "fixed", `converted ${typeof value} to text`)
+		}
+		if (REQUIRED_FIELDS.includes(field) && !recipe[field].trim()) {
+			report(field, "error", "is empty")
+		}
+	}
+
+	for (const field of ["images", "categories"]) {
+		const value = recipe[field]
+		if (value === undefined || value === null || value === "") {
+			recipe[field] = []
+			continue
+		}
+		if (!Array.isArray(value)) {
+			recipe[field] =
+				field === "categories" && typeof value === "string"
+					? value.split(",")
+					: [value]
+			report(field, "fixed", "wrapped in a list")
+		}
+		const strings = recipe[field]
+			.map((item) => (typeof item === "string" ? item.trim() : item))
+			.filter((item) => typeof item === "string" && item)
+		if (strings.length !== recipe[field].length) {
+			report(
+				field,
+				"fixed",
+				`dropped ${
+					recipe[field].length - strings.length
+				} empty or non-text entries`
+			)
+		}
+		recipe[field] = strings
+	}
+
+	const categories = [...new Set(recipe.categories)]
+	if (categories.length !== recipe.categories.length) {
+		recipe.categories = categories
+		report("categories", "fixed", "removed duplicates")
+	}
+
+	for (const field of BOOLEAN_FIELDS) {
+		const value = recipe[field]
+		if (typeof value === "boolean") continue
+		recipe[field] =
+			typeof value === "string"
+				? /^(yes|true|1)$/i.test(value.trim())
+				: Boolean(value)
+		if (value !== undefined) {
+			report(
+				field,
+				"fixed",
+				`converted ${JSON.stringify(value)} to ${recipe[field]}`
+			)
+		}
+	}
+
+	if (typeof recipe.date !== "number" || !isFinite(recipe.date)) {
+		const seconds = toUnixSeconds(recipe.date)
+		if (seconds === null) {
+			report("date", "error", `${JSON.stringify(recipe.date)} is not a date`)
+		} else {
+			recipe.date = seconds
+			report("date", "fixed", "converted to Unix seconds")
+		}
+	} else if (recipe.date > 1e11) {
+		recipe.date = recipe.date / 1000
+		report("date", "fixed", "converted milliseconds to seconds")
+	}
+
+	if (!recipe.ingredients.trim() && !recipe.instructions.trim()) {
+		report("ingredients", "warning", "no ingredients or instructions")
+	}
+
+	return { recipe, issues }
+}
+
+// True when issues include an error, which fails a --strict run. Warnings
+// (including low-confidence guesses) are only reported.
+function hasProblems(issues) {
+	return issues.some((issue) => issue.level === "error")
+}
+
+module.exports = {
+	REVIEW_CONFIDENCE,
+	validateRecipe,
+	hasProblems,
+}
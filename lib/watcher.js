@@ -0,0 +1,79 @@
+const fs = require("fs")
+const path = require("path")
+
+// Watch a folder and everything below it, calling onChange(paths) once changes
+// have settled for delay ms. Recursive fs.watch isn't available everywhere, so
+// every folder gets its own watcher and new folders are picked up as they appear.
+// Hidden files and folders are skipped, as are paths for which ignore(path) is true.
+// Returns { close() }.
+function watchTree(root, onChange, options = {}) {
+	const delay = options.delay ?? 1000
+	const ignore = (filePath) =>
+		path.basename(filePath).startsWith(".") ||
+		Boolean(options.ignore && options.ignore(filePath))
+	const watchers = new Map()
+	let pending = new Set()
+	let timer = null
+
+	const flush = () => {
+		timer = null
+		const paths = [...pending]
+		pending = new Set()
+		onChange(paths)
+	}
+
+	const unwatch = (dir) => {
+		for (const [watched, watcher] of watchers) {
+			if (watched === dir || watched.startsWith(dir + path.sep)) {
+				watcher.close()
+				watchers.delete(watched)
+			}
+		}
+	}
+
+	const changed = (dir, name) => {
+		const filePath = name ? path.join(dir, String(name)) : dir
+		if (filePath !== root && ignore(filePath)) return
+		let stat = null
+		try {
+			stat = fs.statSync(filePath)
+		} catch (e) {
+			// Deleted
+		}
+		if (stat && stat.isDirectory()) watchDir(filePath)
+		if (!stat) unwatch(filePath)
+		pending.add(filePath)
+		clearTimeout(timer)
+		timer = setTimeout(flush, delay)
+	}
+
+	function watchDir(dir) {
+		if (watchers.has(dir) || (dir !== root && ignore(dir))) return
+		let entries
+		try {
+			const watcher = fs.watch(dir, (event, name) => changed(dir, name))
+			watcher.on("error", () => unwatch(dir))
+			watchers.set(dir, watcher)
+			entries = fs.readdirSync(dir, { withFileTypes: true })
+		} catch (e) {
+			// Gone before it could be watched
+			unwatch(dir)
+			return
+		}
+		for (const entry of entries) {
+			if (entry.isDirectory()) watchDir(path.join(dir, entry.name))
+		}
+	}
+
+	watchDir(root)
+
+	return {
+		close() {
+			clearTimeout(timer)
+			watchers.forEach((watcher) => watcher.close())
+			watchers.clear()
+		},
+	}
+}
+
+module.exports = { watchTree }
@@ -0,0 +1,53 @@
+// Registry of output formats. A writer looks like:
+//   {
+//     name: "markdown",
+//     extension: ".md",
+//     render(recipe) { return string | Buffer },      // one file per recipe
+//     collection: {                                   // one file for the run
+//       extension: ".zip",
+//       async render(recipes, { title }) { return string | Buffer },
+//     },
+//   }
+// A writer needs render, collection or both. Every writer gets the same Mela
+// recipe objects, checked by lib/validator.js, with base64 images.
+class WriterRegistry {
+	constructor() {
+		this.writers = []
+	}
+
+	register(writer) {
+		const renders =
+			writer &&
+			(typeof writer.render === "function" ||
+				(writer.collection && typeof writer.collection.render === "function"))
+		if (!writer || !writer.name || !renders) {
+			throw new Error(
+				"A writer needs a name and a render or collection.render function"
+			)
+		}
+		if (
+			(writer.render && !writer.extension) ||
+			(writer.collection && !writer.collection.extension)
+		) {
+			throw new Error(`Writer ${writer.name} needs a file extension`)
+		}
+		this.unregister(writer.name)
+		this.writers.push(writer)
+		return this
+	}
+
+	unregister(name) {
+		this.writers = this.writers.filter((writer) => writer.name !== name)
+		return this
+	}
+
+	get(name) {
+		return this.writers.find((writer) => writer.name === name) || null
+	}
+
+	names() {
+		return this.writers.map((writer) => writer.name)
+	}
+}
+
+module.exports = WriterRegistry
@@ -2,11 +2,57 @@
 
 const fs = require("fs")
 const path = require("path")
+const EventEmitter = require("events")
 const { JSDOM } = require("jsdom")
 const yaml = require("yaml")
 const { v4: uuidv4 } = require("uuid")
 const https = require("https")
 const http = require("http")
+const ParserRegistry = require("./lib/parser-registry")
+const { parseDuration, formatMinutesToHM } = require("./lib/duration")
+const { findRecipeNode, textValue } = require("./lib/json-ld")
+const { findMicrodataRecipe, findRDFaRecipe } = require("./lib/microdata")
+const { extractHeuristicRecipe } = require("./lib/heuristics")
+const { parseDataURI, readLocalImage } = require("./lib/image-source")
+const { processImages } = require("./lib/image-processor")
+const ImageCache = require("./lib/image-cache")
+const { createLimiter } = require("./lib/limit")
+const {
+	parseIngredients,
+	parseIngredientLine,
+	formatIngredientHeadings,
+} = require("./lib/ingredients")
+const { adjustIngredient, convertTemperatures } = require("./lib/units")
+const { parseYield, scaleFactor, scaleYield } = require("./lib/scaling")
+const { normalizeNutrition } = require("./lib/nutrition")
+const {
+	readTaxonomyFile,
+	compileTaxonomy,
+	applyTaxonomy,
+} = require("./lib/taxonomy")
+const { dedupeRecipes } = require("./lib/dedupe")
+const { validateRecipe, hasProblems } = require("./lib/validator")
+const Manifest = require("./lib/manifest")
+const { ID_STRATEGIES, recipeId, collisionId } = require("./lib/recipe-id")
+const { createLogger } = require("./lib/logger")
+const { watchTree } = require("./lib/watcher")
+const { readMelaFile } = require("./lib/mela-reader")
+const { toMelaJSON, toMelaRecipesBuffer } = require("./lib/mela-writer")
+const WriterRegistry = require("./lib/writer-registry")
+const {
+	toPaprikaRecipeFile,
+	toPaprikaRecipesBuffer,
+} = require("./lib/paprika-writer")
+const { toMarkdown } = require("./lib/markdown-writer")
+const { toPrintableCookbook } = require("./lib/print-writer")
+const { readPaprikaFile } = require("./lib/paprika-reader")
+const {
+	decodeMelaImage,
+	toDataURI,
+	imageDataURIs,
+	toCookbookYML,
+	toSchemaHTML,
+} = require("./lib/cookbook-writer")
 
 // Helper function to convert a string to title case (capitalize each word)
 function toTitleCase(str) {
@@ -20,23 +66,238 @@ function toProperCase(str) {
 	return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase()
 }
 
-// Helper function to format minutes as 'Xh Ym' if >= 60, otherwise 'Xm'
-function formatMinutesToHM(minutes) {
-	if (!minutes || isNaN(minutes)) return ""
-	minutes = parseInt(minutes)
-	if (minutes < 60) return `${minutes}m`
-	const h = Math.floor(minutes / 60)
-	const m = minutes % 60
-	return m === 0 ? `${h}h` : `${h}h ${m}m`
+// Whether url is an absolute http or https URL that can be requested
+function isWebURL(url) {
+	try {
+		return ["http:", "https:"].includes(new URL(url).protocol)
+	} catch (error) {
+		return false
+	}
 }
 
-class RecipeConverter {
+// Emits recipe:converted { recipe, source, outputPath }, recipe:failed
+// { source, error }, image:failed { source, image }, progress { current,
+// total, source } and run:finished (see finishRun)
+class RecipeConverter extends EventEmitter {
 	constructor(options = {}) {
-		this.recipesDir = "./recipes"
-		this.outputDir = "./output"
-		this.ensureOutputDir()
-		// Title case mode: 'title' (default) or 'proper'
+		super()
+		// Any object with error/warn/info/debug methods, or a console logger at
+		// logLevel: 'silent', 'error', 'warn', 'info' (default) or 'debug'
+		this.logger = options.logger || createLogger({ level: options.logLevel })
+		this.recipesDir = options.recipesDir || "./recipes"
+		this.outputDir = options.outputDir || "./output"
+		// Convert and report without writing any files. outputDir is only created
+		// once something is written to it.
+		this.dryRun = Boolean(options.dryRun)
+		// Title case mode: 'title' (default), 'proper' or 'none' to keep titles as written
 		this.titleCaseMode = options.titleCaseMode || "title"
+		// images: false leaves images out altogether
+		this.includeImages = options.images !== false
+		// Image stage: resize to maxImageSize, re-encode as JPEG at imageQuality,
+		// drop duplicates and images smaller than minImageSize (processImages: false skips it)
+		this.processImages = options.processImages !== false
+		this.maxImageSize = options.maxImageSize || 1600
+		this.imageQuality = options.imageQuality || 80
+		this.minImageSize = options.minImageSize ?? 100
+		// Perceptual hash distance (0-1) under which two images count as the same
+		// photo; 0 only drops exact copies
+		this.duplicateImageThreshold = options.duplicateImageThreshold ?? 0
+		// Attach parseIngredients() output to each recipe as parsedIngredients
+		this.structuredIngredients = Boolean(options.structuredIngredients)
+		// Scale recipes to serve scaleTo and convert amounts and oven temperatures
+		// to units ('metric' or 'us'); anything unsafe is left as is and reported
+		this.scaleTo = options.scaleTo || null
+		this.units = options.units || null
+		if (this.units && !["metric", "us"].includes(this.units)) {
+			throw new Error(`Unknown units "${this.units}", use metric or us`)
+		}
+		// Nutrition in the sources is for the whole recipe: divide it by the yield
+		this.nutritionPerServing = Boolean(options.nutritionPerServing)
+		// Measurements left unconverted during the current run
+		this.measurementWarnings = []
+		// convertAll merges recipes found in more than one source (dedupe: false
+		// disables it); mergePolicy overrides how each field is picked, see lib/dedupe.js
+		this.dedupe = options.dedupe !== false
+		this.mergePolicy = options.mergePolicy || {}
+		this.dedupeSimilarity = options.dedupeSimilarity
+		// Recipes are checked against the Mela field spec as they are written;
+		// strict fails the run on validation errors, see hasProblems
+		this.strict = Boolean(options.strict)
+		this.lintResults = []
+		// convertAll keeps a manifest in outputDir and skips sources that haven't
+		// changed since the last run (incremental: false converts everything);
+		// outputs of deleted sources are removed unless removeDeleted is false
+		this.incremental = options.incremental !== false
+		this.removeDeleted = options.removeDeleted !== false
+		// How recipe ids are made: 'basename' (default), 'uuid' or 'hash', see
+		// lib/recipe-id.js. Ids already written during the current run:
+		this.idStrategy = options.idStrategy || "basename"
+		if (!ID_STRATEGIES.includes(this.idStrategy)) {
+			throw new Error(
+				`Unknown id strategy "${this.idStrategy}", use ${ID_STRATEGIES.join(
+					", "
+				)}`
+			)
+		}
+		this.usedIds = new Set()
+		// Ids kept for the source that had them on the previous run, see reserveId
+		this.reservedIds = new Map()
+		// The .melarecipes archive written at the end of a run (archive: false skips it)
+		this.archive = options.archive !== false
+		this.archiveName = options.archiveName || "recipes.melarecipes"
+		if (!this.archiveName.endsWith(".melarecipes")) {
+			this.archiveName += ".melarecipes"
+		}
+		// Category rules (synonyms, rewrites, allow and deny lists, a maximum,
+		// auto-tags), or the path of a YAML or JSON file with them, see lib/taxonomy.js
+		this.taxonomyConfig =
+			typeof options.taxonomy === "string"
+				? readTaxonomyFile(options.taxonomy)
+				: options.taxonomy || null
+		this.taxonomy = this.taxonomyConfig
+			? compileTaxonomy(this.taxonomyConfig)
+			: null
+		// Only convert recipes in one of these categories and/or whose title
+		// contains titleFilter (case-insensitive)
+		this.categoryFilter = (options.categories || []).map((c) => c.toLowerCase())
+		this.titleFilter = options.titleFilter
+			? options.titleFilter.toLowerCase()
+			: null
+		// Files and URLs that produced no recipe during the current run
+		this.failedFiles = []
+		// Status of every source in the current run, see finishRun. The summary is
+		// written to summaryPath (.json or .csv) unless summary is false
+		this.runLog = new Map()
+		this.runStartedAt = null
+		this.currentSource = null
+		this.summaryPath =
+			options.summary === false
+				? null
+				: options.summaryPath ||
+				  (this.dryRun ? null : path.join(this.outputDir, "run-summary.json"))
+		// Summary of the last finished run
+		this.lastRun = null
+		// Downloads: persistent image cache (imageCache: false disables it), parallel
+		// downloads, retries with backoff, and offline mode that only uses the cache
+		this.imageCache =
+			options.imageCache === false
+				? null
+				: new ImageCache(options.imageCacheDir || "./.image-cache", {
+						maxAge: options.imageCacheMaxAge,
+						readOnly: this.dryRun,
+				  })
+		this.offline = Boolean(options.offline)
+		this.downloadRetries = options.downloadRetries ?? 2
+		this.downloadLimit = createLimiter(options.downloadConcurrency || 4)
+		// Images that could not be found during the current run
+		this.missingImages = []
+		// Input formats understood by convertAll, see registerParser
+		this.parsers = new ParserRegistry()
+		this.registerBuiltinParsers()
+		// Output format: 'mela' (default), 'paprika', 'html', 'markdown', 'print'
+		// or one added with registerWriter
+		this.format = options.format || "mela"
+		this.writers = new WriterRegistry()
+		this.registerBuiltinWriters()
+	}
+
+	// Register an input format so convertAll picks it up (see lib/parser-registry.js)
+	registerParser(parser) {
+		this.parsers.register(parser)
+		return this
+	}
+
+	registerBuiltinParsers() {
+		this.registerParser({
+			name: "html",
+			extensions: [".html", ".htm"],
+			detect: (content) =>
+				/<!doctype html|<html[\s>]|application\/ld\+json/i.test(content),
+			parse: (filePath) => this.parseHTMLRecipe(filePath),
+		})
+		this.registerParser({
+			name: "yml",
+			extensions: [".yml", ".yaml"],
+			detect: (content) =>
+				/^name:/m.test(content) && /^(ingredients|directions):/m.test(content),
+			parse: async (filePath) => {
+				const recipe = this.parseYMLRecipe(filePath)
+				return (
+					recipe &&
+					this.loadRecipeImages(recipe, {
+						baseDir: path.dirname(filePath),
+						source: filePath,
+					})
+				)
+			},
+		})
+		this.registerParser({
+			name: "paprika",
+			extensions: [".paprikarecipes", ".paprikarecipe"],
+			parse: (filePath) => this.parsePaprikaFile(filePath),
+		})
+	}
+
+	// Register an output format to select with the format option (see
+	// lib/writer-registry.js)
+	registerWriter(writer) {
+		this.writers.register(writer)
+		return this
+	}
+
+	registerBuiltinWriters() {
+		this.registerWriter({
+			name: "mela",
+			extension: ".melarecipe",
+			render: toMelaJSON,
+			collection: { extension: ".melarecipes", render: toMelaRecipesBuffer },
+		})
+		this.registerWriter({
+			name: "paprika",
+			extension: ".paprikarecipe",
+			render: toPaprikaRecipeFile,
+			collection: {
+				extension: ".paprikarecipes",
+				render: toPaprikaRecipesBuffer,
+			},
+		})
+		this.registerWriter({
+			name: "html",
+			extension: ".html",
+			render: (recipe) => toSchemaHTML(recipe, imageDataURIs(recipe)),
+		})
+		this.registerWriter({
+			name: "markdown",
+			extension: ".md",
+			render: toMarkdown,
+		})
+		this.registerWriter({
+			name: "print",
+			collection: { extension: ".html", render: toPrintableCookbook },
+		})
+	}
+
+	// The writer for this.format
+	outputWriter() {
+		const writer = this.writers.get(this.format)
+		if (!writer) {
+			throw new Error(
+				`Unknown format "${this.format}", use ${this.writers
+					.names()
+					.join(", ")}`
+			)
+		}
+		return writer
+	}
+
+	// Name of the file holding every recipe of a run: archiveName for Mela,
+	// the same name with the writer's extension otherwise
+	collectionName(writer) {
+		if (writer.name === "mela") return this.archiveName
+		return (
+			path.basename(this.archiveName, ".melarecipes") +
+			writer.collection.extension
+		)
 	}
 
 	ensureOutputDir() {
@@ -47,6 +308,7 @@ class RecipeConverter {
 
 	getTitle(str) {
 		if (this.titleCaseMode === "proper") return toProperCase(str)
+		if (this.titleCaseMode === "none") return str ? str.trim() : ""
 		return toTitleCase(str)
 	}
 
@@ -54,142 +316,356 @@ class RecipeConverter {
 	async parseHTMLRecipe(filePath) {
 		try {
 			const htmlContent = fs.readFileSync(filePath, "utf-8")
-			const dom = new JSDOM(htmlContent)
-			const document = dom.window.document
+			return await this.parseHTMLString(htmlContent, {
+				id: this.generateId(filePath),
+				source: filePath,
+				baseDir: path.dirname(filePath),
+			})
+		} catch (error) {
+			this.logger.error(`Error parsing HTML recipe ${filePath}:`, error.message)
+			this.recipeFailed(filePath, error)
+			return null
+		}
+	}
 
-			// Try to find JSON-LD structured data first
-			const jsonLdScript = document.querySelector(
-				'script[type="application/ld+json"]'
-			)
-			let structuredData = null
+	// Parse an HTML document held in a string.
+	// options: id, source (used in warnings and reports), baseUrl (resolves relative
+	// image URLs) and baseDir (resolves relative image paths on disk)
+	async parseHTMLString(htmlContent, options = {}) {
+		const source = options.source || options.baseUrl || "HTML"
+		const dom = new JSDOM(htmlContent)
+		const document = dom.window.document
+
+		// Try to find JSON-LD structured data first
+		// (any script, inside @graph, arrays or nested entities), then the
+		// Recipe item in microdata or RDFa markup, read into the same shape
+		let structuredData =
+			findRecipeNode(document, (e) => {
+				this.logger.warn(`Failed to parse JSON-LD in ${source}:`, e.message)
+			}) ||
+			findMicrodataRecipe(document) ||
+			findRDFaRecipe(document)
+		// Otherwise guess from headings, lists and Open Graph tags, keeping how
+		// sure each guess is (see lib/heuristics.js)
+		let confidence = null
+		if (!structuredData) {
+			;({ recipe: structuredData, confidence } =
+				extractHeuristicRecipe(document))
+			this.logger.debug(`  No structured data, extracted heuristically`)
+		}
 
-			if (jsonLdScript) {
+		// Extract and format times
+		const prepMins = this.parseTimeToMinutes(
+			this.extractPrepTime(structuredData, document)
+		)
+		const cookMins = this.parseTimeToMinutes(
+			this.extractCookTime(structuredData, document)
+		)
+		// Keep an explicit total time, it often includes resting or marinating
+		const totalMins =
+			this.parseTimeToMinutes(
+				this.extractTotalTime(structuredData, document)
+			) || prepMins + cookMins
+
+		// Extract recipe data
+		const recipe = {
+			id: options.id || "",
+			title: this.getTitle(this.extractTitle(structuredData, document)),
+			text: this.extractDescription(structuredData, document),
+			images: this.extractImages(structuredData, document),
+			categories: this.extractCategories(structuredData, document),
+			yield: this.extractYield(structuredData, document),
+			prepTime: formatMinutesToHM(prepMins),
+			cookTime: formatMinutesToHM(cookMins),
+			totalTime: formatMinutesToHM(totalMins),
+			ingredients: this.extractIngredients(structuredData, document),
+			instructions: this.extractInstructions(structuredData, document),
+			notes: this.extractNotes(structuredData, document),
+			nutrition: this.extractNutrition(structuredData, document),
+			link: this.extractSource(structuredData, document),
+			favorite: false,
+			wantToCook: false,
+			date: Date.now() / 1000, // Current timestamp
+		}
+
+		if (options.baseUrl) {
+			recipe.images = recipe.images.map((src) => {
 				try {
-					structuredData = JSON.parse(jsonLdScript.textContent)
+					return new URL(src, options.baseUrl).href
 				} catch (e) {
-					console.warn(`Failed to parse JSON-LD in ${filePath}:`, e.message)
+					return src
 				}
-			}
+			})
+		}
 
-			// Extract and format times
-			const prepMins = this.parseTimeToMinutes(
-				this.extractPrepTime(structuredData, document)
-			)
-			const cookMins = this.parseTimeToMinutes(
-				this.extractCookTime(structuredData, document)
-			)
-			const otherMins = 0 // Add logic if you have other_time
-			const totalMins = prepMins + cookMins + otherMins
+		if (confidence) recipe.confidence = confidence
 
-			// Extract recipe data
-			const recipe = {
-				id: this.generateId(filePath),
-				title: this.getTitle(this.extractTitle(structuredData, document)),
-				text: this.extractDescription(structuredData, document),
-				images: this.extractImages(structuredData, document),
-				categories: this.extractCategories(structuredData, document),
-				yield: this.extractYield(structuredData, document),
-				prepTime: formatMinutesToHM(prepMins),
-				cookTime: formatMinutesToHM(cookMins),
-				totalTime: formatMinutesToHM(totalMins),
-				ingredients: this.extractIngredients(structuredData, document),
-				instructions: this.extractInstructions(structuredData, document),
-				notes: this.extractNotes(structuredData, document),
-				nutrition: this.extractNutrition(structuredData, document),
-				link: this.extractSource(structuredData, document),
-				favorite: false,
-				wantToCook: false,
-				date: Date.now() / 1000, // Current timestamp
-			}
+		// Convert images to base64
+		this.logger.debug(`  Processing images for: ${recipe.title}`)
+		recipe.images = await this.convertImagesToBase64(recipe.images, {
+			baseDir: options.baseDir,
+			source,
+		})
 
-			// Convert images to base64
-			console.log(`  Processing images for: ${recipe.title}`)
-			recipe.images = await this.convertImagesToBase64(recipe.images)
+		return this.finalizeRecipe(recipe)
+	}
 
-			return recipe
+	// Parse YML recipe files. Images are left as written, see loadRecipeImages.
+	parseYMLRecipe(filePath) {
+		try {
+			const ymlContent = fs.readFileSync(filePath, "utf-8")
+			return this.parseYMLString(ymlContent, { id: this.generateId(filePath) })
 		} catch (error) {
-			console.error(`Error parsing HTML recipe ${filePath}:`, error.message)
+			this.logger.error(`Error parsing YML recipe ${filePath}:`, error.message)
+			this.recipeFailed(filePath, error)
 			return null
 		}
 	}
 
-	// Parse YML recipe files
-	parseYMLRecipe(filePath) {
-		try {
-			const ymlContent = fs.readFileSync(filePath, "utf-8")
-			const data = yaml.parse(ymlContent)
+	// Parse a Cookbook YML document held in a string. Throws when it isn't one.
+	// options: id
+	parseYMLString(ymlContent, options = {}) {
+		const data = yaml.parse(ymlContent)
+		if (!data || typeof data !== "object" || Array.isArray(data)) {
+			throw new Error("not a Cookbook YML recipe")
+		}
+
+		// Extract and format times
+		const prepMins = this.parseTimeToMinutes(data.prep_time)
+		const cookMins = this.parseTimeToMinutes(data.cook_time)
+		const otherMins = this.parseTimeToMinutes(data.other_time)
+		const totalMins =
+			this.parseTimeToMinutes(data.total_time) ||
+			prepMins + cookMins + otherMins
+
+		const recipe = {
+			id: options.id || "",
+			title: this.getTitle(data.name || ""),
+			text: data.description || "",
+			images: [].concat(data.image || []),
+			categories: this.parseYMLTags(data.tags),
+			yield: data.servings || "",
+			prepTime: formatMinutesToHM(prepMins),
+			cookTime: formatMinutesToHM(cookMins),
+			otherTime: formatMinutesToHM(otherMins),
+			totalTime: formatMinutesToHM(totalMins),
+			ingredients: this.formatYMLIngredients(data.ingredients),
+			instructions: this.formatYMLDirections(data.directions),
+			notes: data.notes || "",
+			nutrition: data.nutritional_info || "",
+			link: data.source || "",
+			favorite: data.favorite === "yes" || data.on_favorites === "yes",
+			wantToCook: data.want_to_cook === "yes",
+			date: this.parseYMLDate(data.created) || Date.now() / 1000,
+		}
+
+		return this.finalizeRecipe(recipe)
+	}
 
-			// Extract and format times
+	// Parse a Paprika recipe (the decoded JSON of a .paprikarecipe)
+	async parsePaprikaRecipe(data, fileName = "") {
+		try {
 			const prepMins = this.parseTimeToMinutes(data.prep_time)
 			const cookMins = this.parseTimeToMinutes(data.cook_time)
-			const otherMins = this.parseTimeToMinutes(data.other_time)
-			const totalMins = prepMins + cookMins + otherMins
+			const totalMins =
+				this.parseTimeToMinutes(data.total_time) || prepMins + cookMins
 
 			const recipe = {
-				id: this.generateId(filePath),
+				id: this.generateId(fileName || data.name || ""),
 				title: this.getTitle(data.name || ""),
-				text: data.notes || "",
-				images: data.image ? [data.image] : [],
-				categories: this.parseYMLTags(data.tags),
+				text: data.description || "",
+				images: [],
+				categories: Array.isArray(data.categories) ? data.categories : [],
 				yield: data.servings || "",
 				prepTime: formatMinutesToHM(prepMins),
 				cookTime: formatMinutesToHM(cookMins),
-				otherTime: formatMinutesToHM(otherMins),
 				totalTime: formatMinutesToHM(totalMins),
 				ingredients: this.formatYMLIngredients(data.ingredients),
 				instructions: this.formatYMLDirections(data.directions),
 				notes: data.notes || "",
 				nutrition: data.nutritional_info || "",
-				link: data.source || "",
-				favorite: data.favorite === "yes" || data.on_favorites === "yes",
+				link: data.source_url || data.source || "",
+				favorite: Boolean(data.on_favorites),
 				wantToCook: false,
-				date: this.parseYMLDate(data.created) || Date.now() / 1000,
+				date: this.parsePaprikaDate(data.created) || Date.now() / 1000,
 			}
 
-			return recipe
+			// Keep embedded photos, only download when the export has none
+			const photos = [
+				data.photo_data,
+				...(Array.isArray(data.photos) ? data.photos : []).map(
+					(photo) => photo && photo.data
+				),
+			].filter((photo) => photo && typeof photo === "string")
+			if (photos.length > 0) {
+				recipe.images = await this.convertImagesToBase64(
+					photos.map((photo) => `data:image/jpeg;base64,${photo}`),
+					{ source: fileName }
+				)
+			} else if (data.image_url) {
+				this.logger.debug(`  Processing images for: ${recipe.title}`)
+				recipe.images = await this.convertImagesToBase64([data.image_url], {
+					source: fileName,
+				})
+			}
+
+			return this.finalizeRecipe(recipe)
 		} catch (error) {
-			console.error(`Error parsing YML recipe ${filePath}:`, error.message)
+			this.logger.error(
+				`Error parsing Paprika recipe ${fileName}:`,
+				error.message
+			)
+			this.recipeFailed(fileName, error)
 			return null
 		}
 	}
 
+	// Parse every recipe in a .paprikarecipes archive or .paprikarecipe file
+	async parsePaprikaFile(filePath) {
+		const recipes = []
+		for (const { fileName, data } of readPaprikaFile(filePath)) {
+			const recipe = await this.parsePaprikaRecipe(data, fileName)
+			if (recipe) recipes.push(recipe)
+		}
+		return recipes
+	}
+
+	// Replace the image references of a parsed recipe with Mela images.
+	// options: see convertImagesToBase64
+	async loadRecipeImages(recipe, options = {}) {
+		this.logger.debug(`  Processing images for: ${recipe.title}`)
+		recipe.images = await this.convertImagesToBase64(recipe.images, options)
+		return recipe
+	}
+
+	// Final steps shared by every parser, applied to the finished recipe object
+	finalizeRecipe(recipe) {
+		// Before scaling, totals are for the yield as written
+		if (recipe.nutrition) {
+			recipe.nutrition = this.normalizeNutrition(recipe)
+		}
+		if (this.scaleTo || this.units) {
+			this.adjustMeasurements(recipe)
+		}
+		if (this.taxonomy) {
+			recipe.categories = applyTaxonomy(recipe, this.taxonomy)
+		}
+		if (this.structuredIngredients) {
+			recipe.parsedIngredients = this.parseIngredients(recipe.ingredients)
+		}
+		return recipe
+	}
+
+	// The recipe's nutrition as "Name: value unit" lines, see lib/nutrition.js.
+	// With nutritionPerServing the amounts are divided by the yield.
+	normalizeNutrition(recipe) {
+		let servings = null
+		if (this.nutritionPerServing) {
+			const parsed = parseYield(recipe.yield)
+			if (parsed) {
+				servings = parsed.quantity
+			} else {
+				this.measurementWarnings.push({
+					source: recipe.title,
+					file: this.currentSource,
+					text: "nutrition",
+					reason: "no serving count to divide by",
+				})
+			}
+		}
+		return normalizeNutrition(recipe.nutrition, { servings })
+	}
+
+	// Scale ingredients and yield to this.scaleTo and convert amounts and
+	// temperatures to this.units, see lib/units.js and lib/scaling.js
+	adjustMeasurements(recipe) {
+		const warn = (text, reason) =>
+			this.measurementWarnings.push({
+				source: recipe.title,
+				file: this.currentSource,
+				text,
+				reason,
+			})
+
+		let factor = 1
+		if (this.scaleTo) {
+			const scale = scaleFactor(recipe.yield, this.scaleTo)
+			if (scale) {
+				factor = scale
+				recipe.yield = scaleYield(recipe.yield, this.scaleTo)
+			} else {
+				warn(recipe.yield || "", "no serving count to scale from")
+			}
+		}
+
+		if (recipe.ingredients) {
+			recipe.ingredients = recipe.ingredients
+				.split("\n")
+				.map((line) => {
+					// Mela section headings stay as written
+					if (!line.trim() || /^#/.test(line.trim())) return line
+					const result = adjustIngredient(parseIngredientLine(line), {
+						factor,
+						system: this.units,
+					})
+					result.warnings.forEach((reason) => warn(line.trim(), reason))
+					return result.line
+				})
+				.join("\n")
+		}
+
+		if (this.units) {
+			for (const field of ["instructions", "notes"]) {
+				if (!recipe[field]) continue
+				const { text, warnings } = convertTemperatures(
+					recipe[field],
+					this.units
+				)
+				recipe[field] = text
+				warnings.forEach((reason) => warn(field, reason))
+			}
+		}
+		return recipe
+	}
+
+	// Split ingredients (text or array of lines) into quantity, unit, item and
+	// preparation, see lib/ingredients.js
+	parseIngredients(ingredients) {
+		return parseIngredients(ingredients)
+	}
+
 	// Helper methods for HTML parsing
 	extractTitle(structuredData, document) {
 		if (structuredData && structuredData.name) {
-			return structuredData.name
+			return textValue(structuredData.name)
 		}
-		const titleElement = document.querySelector('[itemprop="name"], h1')
+		const titleElement = document.querySelector("h1")
 		return titleElement ? titleElement.textContent.trim() : ""
 	}
 
 	extractDescription(structuredData, document) {
 		if (structuredData && structuredData.description) {
-			return structuredData.description
+			return textValue(structuredData.description)
 		}
-		const descElement = document.querySelector('[itemprop="description"]')
-		return descElement ? descElement.textContent.trim() : ""
+		return ""
 	}
 
 	extractImages(structuredData, document) {
 		const images = []
 
 		if (structuredData && structuredData.image) {
-			if (Array.isArray(structuredData.image)) {
-				images.push(...structuredData.image)
-			} else {
-				images.push(structuredData.image)
-			}
+			// image can be a URL, an ImageObject or an array of either
+			;[].concat(structuredData.image).forEach((image) => {
+				const url =
+					typeof image === "string"
+						? image
+						: image && (image.url || image.contentUrl)
+				if (url && typeof url === "string" && !images.includes(url)) {
+					images.push(url)
+				}
+			})
 		}
 
-		// Also check for img elements
-		const imgElements = document.querySelectorAll('[itemprop="image"], img')
-		imgElements.forEach((img) => {
-			const src = img.getAttribute("src") || img.getAttribute("content")
-			if (src && !images.includes(src)) {
-				images.push(src)
-			}
-		})
-
 		return images
 	}
 
@@ -198,97 +674,101 @@ class RecipeConverter {
 
 		if (structuredData) {
 			if (structuredData.recipeCategory) {
-				const cats = Array.isArray(structuredData.recipeCategory)
-					? structuredData.recipeCategory
-					: [structuredData.recipeCategory]
-				categories.push(...cats)
+				categories.push(
+					...[].concat(structuredData.recipeCategory).map(textValue)
+				)
 			}
 			if (structuredData.keywords) {
-				const keywords = structuredData.keywords.split(",").map((k) => k.trim())
+				// keywords can be a comma separated string or an array
+				const keywords = []
+					.concat(structuredData.keywords)
+					.flatMap((k) => textValue(k).split(","))
+					.map((k) => k.trim())
 				categories.push(...keywords)
 			}
 		}
 
-		return categories
+		return categories.filter(
+			(category, i) => category && categories.indexOf(category) === i
+		)
 	}
 
 	extractYield(structuredData, document) {
 		if (structuredData && structuredData.recipeYield) {
-			return Array.isArray(structuredData.recipeYield)
-				? structuredData.recipeYield.join(", ")
-				: structuredData.recipeYield
+			return [].concat(structuredData.recipeYield).map(textValue).join(", ")
 		}
-		const yieldElement = document.querySelector('[itemprop="recipeYield"]')
-		return yieldElement ? yieldElement.textContent.trim() : ""
+		return ""
 	}
 
 	extractPrepTime(structuredData, document) {
 		if (structuredData && structuredData.prepTime) {
 			return this.formatDuration(structuredData.prepTime)
 		}
-		const prepElement = document.querySelector('[itemprop="prepTime"]')
-		return prepElement ? prepElement.textContent.trim() : ""
+		return ""
 	}
 
 	extractCookTime(structuredData, document) {
 		if (structuredData && structuredData.cookTime) {
 			return this.formatDuration(structuredData.cookTime)
 		}
-		const cookElement = document.querySelector('[itemprop="cookTime"]')
-		return cookElement ? cookElement.textContent.trim() : ""
+		return ""
 	}
 
 	extractTotalTime(structuredData, document) {
 		if (structuredData && structuredData.totalTime) {
 			return this.formatDuration(structuredData.totalTime)
 		}
-		const totalElement = document.querySelector('[itemprop="totalTime"]')
-		return totalElement ? totalElement.textContent.trim() : ""
+		return ""
 	}
 
 	extractIngredients(structuredData, document) {
 		let ingredients = []
 
-		if (structuredData && structuredData.recipeIngredient) {
-			ingredients = Array.isArray(structuredData.recipeIngredient)
-				? structuredData.recipeIngredient
-				: [structuredData.recipeIngredient]
-		} else {
-			const ingredientElements = document.querySelectorAll(
-				'[itemprop="recipeIngredient"]'
-			)
-			ingredients = Array.from(ingredientElements).map((el) =>
-				el.textContent.trim()
-			)
+		const jsonIngredients =
+			structuredData &&
+			(structuredData.recipeIngredient || structuredData.ingredients)
+		if (jsonIngredients) {
+			ingredients = [].concat(jsonIngredients).map(textValue)
 		}
 
-		return ingredients.join("\n")
+		return formatIngredientHeadings(
+			ingredients.filter((ingredient) => ingredient)
+		).join("\n")
 	}
 
 	extractInstructions(structuredData, document) {
 		let instructions = []
 
 		if (structuredData && structuredData.recipeInstructions) {
-			instructions = Array.isArray(structuredData.recipeInstructions)
-				? structuredData.recipeInstructions
-				: [structuredData.recipeInstructions]
-
-			instructions = instructions.map((instruction) => {
-				if (typeof instruction === "object" && instruction.text) {
-					return instruction.text
-				}
-				return instruction.toString()
-			})
-		} else {
-			const instructionElements = document.querySelectorAll(
-				'[itemprop="recipeInstruction"]'
-			)
-			instructions = Array.from(instructionElements).map((el) =>
-				el.textContent.trim()
-			)
+			instructions = this.flattenInstructions(structuredData.recipeInstructions)
 		}
 
-		return instructions.join("\n\n")
+		return instructions.filter((instruction) => instruction).join("\n\n")
+	}
+
+	// Flatten strings, HowToStep, HowToSection and ItemList into Mela lines.
+	// Sections become '# Section' headings followed by their steps.
+	flattenInstructions(instructions) {
+		const lines = []
+		for (const instruction of [].concat(instructions)) {
+			if (!instruction) continue
+			if (typeof instruction !== "object") {
+				lines.push(
+					...String(instruction)
+						.split("\n")
+						.map((l) => l.trim())
+				)
+				continue
+			}
+			const steps = instruction.itemListElement || instruction.steps
+			if (steps) {
+				if (instruction.name) lines.push(`# ${textValue(instruction.name)}`)
+				lines.push(...this.flattenInstructions(steps))
+			} else {
+				lines.push(textValue(instruction.text || instruction.name || ""))
+			}
+		}
+		return lines
 	}
 
 	extractNotes(structuredData, document) {
@@ -302,46 +782,43 @@ class RecipeConverter {
 		if (structuredData && structuredData.nutrition) {
 			return structuredData.nutrition
 		}
-		const nutritionElement = document.querySelector('[itemprop="nutrition"]')
-		return nutritionElement ? nutritionElement.textContent.trim() : ""
+		return ""
 	}
 
 	extractSource(structuredData, document) {
 		if (structuredData && structuredData.author) {
-			if (
-				typeof structuredData.author === "object" &&
-				structuredData.author.url
-			) {
-				return structuredData.author.url
+			// author can be a string, a Person/Organization or an array of either
+			const authors = [].concat(structuredData.author)
+			const withUrl = authors.find((a) => a && typeof a === "object" && a.url)
+			if (withUrl) {
+				return textValue(withUrl.url)
 			}
-			if (typeof structuredData.author === "string") {
-				return structuredData.author
+			const name = authors.map(textValue).find((a) => a)
+			if (name) {
+				return name
 			}
 		}
-
-		const sourceElement = document.querySelector('[itemprop="author"]')
-		return sourceElement ? sourceElement.textContent.trim() : ""
+		return ""
 	}
 
 	// Helper methods for YML parsing
+	// Tags as a block string, one per line, or as a YAML list
 	parseYMLTags(tags) {
 		if (!tags) return []
-		if (typeof tags === "string") {
-			return tags
-				.split("\n")
-				.filter((tag) => tag.trim())
-				.map((tag) => tag.trim())
-		}
-		return []
+		const list = typeof tags === "string" ? tags.split("\n") : tags
+		if (!Array.isArray(list)) return []
+		return list
+			.filter((tag) => tag !== null && tag !== undefined)
+			.map((tag) => String(tag).trim())
+			.filter((tag) => tag)
 	}
 
 	formatYMLIngredients(ingredients) {
 		if (!ingredients) return ""
 		if (typeof ingredients === "string") {
-			return ingredients
-				.split("\n")
-				.filter((line) => line.trim())
-				.join("\n")
+			return formatIngredientHeadings(
+				ingredients.split("\n").filter((line) => line.trim())
+			).join("\n")
 		}
 		return ""
 	}
@@ -357,18 +834,8 @@ class RecipeConverter {
 		return ""
 	}
 
-	calculateTotalTime(prepTime, cookTime, otherTime) {
-		const prep = this.parseTimeToMinutes(prepTime)
-		const cook = this.parseTimeToMinutes(cookTime)
-		const other = this.parseTimeToMinutes(otherTime)
-		const total = prep + cook + other
-		return formatMinutesToHM(total)
-	}
-
 	parseTimeToMinutes(timeStr) {
-		if (!timeStr) return 0
-		const match = timeStr.match(/(\d+)\s*minutes?/i)
-		return match ? parseInt(match[1]) : 0
+		return parseDuration(timeStr)
 	}
 
 	parseYMLDate(dateStr) {
@@ -381,275 +848,1284 @@ class RecipeConverter {
 		return null
 	}
 
-	// Image download and conversion methods
-	async downloadImageAsBase64(url, redirectCount = 0) {
+	parsePaprikaDate(dateStr) {
+		if (!dateStr) return null
+		// Paprika uses "2023-04-01 18:30:00"
+		const time = Date.parse(String(dateStr).replace(" ", "T"))
+		return isNaN(time) ? null : time / 1000
+	}
+
+	// Make a single GET request, following redirects. Never rejects: resolves
+	// { statusCode, headers, buffer, url } or { error } when the request failed
+	// (with fatal: true when retrying can't help, e.g. a malformed URL).
+	requestURL(url, headers = {}, redirectCount = 0) {
 		const MAX_REDIRECTS = 5
 		const TIMEOUT_MS = 15000
-		return new Promise((resolve, reject) => {
-			if (!url || typeof url !== "string") {
-				resolve(null)
-				return
-			}
-
+		return new Promise((resolve) => {
 			const protocol = url.startsWith("https:") ? https : http
-			const request = protocol.get(url, (response) => {
+			const onResponse = (response) => {
 				// Handle redirects (3xx)
 				if (
 					response.statusCode >= 300 &&
 					response.statusCode < 400 &&
 					response.headers.location
 				) {
-					if (redirectCount < MAX_REDIRECTS) {
-						const redirectUrl = response.headers.location.startsWith("http")
-							? response.headers.location
-							: url.replace(/^(https?:\/\/[^\/]+).*/, "$1") +
-							  response.headers.location
-						response.destroy()
-						resolve(this.downloadImageAsBase64(redirectUrl, redirectCount + 1))
+					response.destroy()
+					let redirectUrl = null
+					try {
+						redirectUrl = new URL(response.headers.location, url).href
+					} catch (error) {
+						resolve({ error: "invalid redirect location", fatal: true })
 						return
+					}
+					if (redirectCount < MAX_REDIRECTS) {
+						resolve(this.requestURL(redirectUrl, headers, redirectCount + 1))
 					} else {
-						console.warn(`Too many redirects for image: ${url}`)
-						resolve(null)
-						return
+						resolve({ error: "too many redirects" })
 					}
-				}
-
-				if (response.statusCode !== 200) {
-					console.warn(
-						`Failed to download image: ${url} (Status: ${response.statusCode})`
-					)
-					resolve(null)
-					return
-				}
-
-				const contentType = response.headers["content-type"] || ""
-				if (!contentType.startsWith("image/")) {
-					console.warn(
-						`URL did not return an image: ${url} (Content-Type: ${contentType})`
-					)
-					resolve(null)
 					return
 				}
 
 				const chunks = []
 				response.on("data", (chunk) => chunks.push(chunk))
 				response.on("end", () => {
-					try {
-						const buffer = Buffer.concat(chunks)
-						const base64 = buffer.toString("base64")
-						const dataUrl = `data:${contentType};base64,${base64}`
-						resolve(dataUrl)
-					} catch (error) {
-						console.warn(
-							`Error converting image to base64: ${url}`,
-							error.message
-						)
-						resolve(null)
-					}
+					resolve({
+						statusCode: response.statusCode,
+						headers: response.headers,
+						buffer: Buffer.concat(chunks),
+						url,
+					})
 				})
-			})
+				response.on("error", (error) => resolve({ error: error.message }))
+			}
 
-			request.on("error", (error) => {
-				console.warn(`Error downloading image: ${url}`, error.message)
-				resolve(null)
-			})
+			let request
+			try {
+				request = protocol.get(url, { headers }, onResponse)
+			} catch (error) {
+				// Malformed URLs throw instead of emitting an error
+				resolve({ error: error.message, fatal: true })
+				return
+			}
+			request.on("error", (error) => resolve({ error: error.message }))
 
 			// Add timeout
 			request.setTimeout(TIMEOUT_MS, () => {
-				console.warn(`Timeout downloading image: ${url}`)
-				request.abort()
-				resolve(null)
+				request.destroy()
+				resolve({ error: "timeout" })
 			})
 		})
 	}
 
-	async convertImagesToBase64(imageUrls) {
+	// Download a URL, retrying network errors, 429 and 5xx with exponential backoff.
+	// Resolves { statusCode, buffer, contentType, headers, url } (url being the final
+	// address; statusCode is 200, or 304 for conditional requests) or null on failure.
+	// label names what is being downloaded in warnings.
+	async fetchURL(url, label = "file", headers = {}) {
+		if (!url || typeof url !== "string") return null
+
+		for (let attempt = 0; ; attempt++) {
+			const response = await this.requestURL(url, headers)
+			const retryable =
+				(response.error && !response.fatal) ||
+				response.statusCode === 429 ||
+				response.statusCode >= 500
+			if (retryable && attempt < this.downloadRetries) {
+				await new Promise((resolve) => setTimeout(resolve, 500 * 2 ** attempt))
+				continue
+			}
+
+			if (response.error) {
+				this.logger.warn(`Error downloading ${label}: ${url}`, response.error)
+				return null
+			}
+			if (response.statusCode !== 200 && response.statusCode !== 304) {
+				this.logger.warn(
+					`Failed to download ${label}: ${url} (Status: ${response.statusCode})`
+				)
+				return null
+			}
+			return {
+				...response,
+				contentType: response.headers["content-type"] || "",
+			}
+		}
+	}
+
+	// Image download and conversion methods
+	async downloadImageAsBase64(url) {
+		const cache = this.imageCache
+		const cached = cache && cache.get(url)
+		const toDataUrl = ({ contentType, buffer }) =>
+			`data:${contentType};base64,${buffer.toString("base64")}`
+
+		if (cached && (this.offline || cache.isFresh(cached))) {
+			return toDataUrl(cached)
+		}
+		if (this.offline) {
+			this.logger.warn(`Image not in cache (offline): ${url}`)
+			return null
+		}
+
+		this.logger.debug(`  Downloading image: ${url}`)
+		let download = await this.downloadLimit(() =>
+			this.fetchURL(
+				url,
+				"image",
+				cache ? cache.revalidationHeaders(cached) : {}
+			)
+		)
+		if (!download) {
+			// Fall back to a stale copy rather than losing the image
+			return cached ? toDataUrl(cached) : null
+		}
+		if (download.statusCode === 304 && cached) {
+			const touched = cache.touch(url)
+			if (touched) return toDataUrl(touched)
+			// The entry was removed since it was read, download the image again
+			download = await this.downloadLimit(() => this.fetchURL(url, "image"))
+			if (!download) return toDataUrl(cached)
+		}
+
+		const { contentType } = download
+		if (!contentType.startsWith("image/")) {
+			this.logger.warn(
+				`URL did not return an image: ${url} (Content-Type: ${contentType})`
+			)
+			return null
+		}
+
+		return toDataUrl(cache ? cache.set(url, download) : download)
+	}
+
+	// Turn a base64 image or data URL into the raw form stored in Mela recipes
+	encodeImageBase64(base64Image) {
+		// Remove data URL prefix and escape all slashes as \/
+		return base64Image
+			.replace(/^data:image\/[a-zA-Z0-9.+-]+;base64,/, "")
+			.replace(/\s/g, "")
+			.replace(/\//g, "\\/") // Note: Add an additional slash to make replacement easier during file write (see note below)
+	}
+
+	// Load an image from a URL, data URI, file:// URL or path relative to baseDir.
+	// A baseDir of null never reads local files.
+	// Resolves a data URL, or null when the image could not be found.
+	async loadImage(ref, baseDir = process.cwd()) {
+		if (/^https?:\/\//i.test(ref) || ref.startsWith("//")) {
+			const url = ref.startsWith("//") ? `https:${ref}` : ref
+			return this.downloadImageAsBase64(url)
+		}
+
+		const image = /^data:/i.test(ref)
+			? parseDataURI(ref)
+			: baseDir !== null && readLocalImage(ref, baseDir)
+		if (!image) return null
+		if (image.filePath) this.logger.debug(`  Reading image: ${image.filePath}`)
+		return `data:${image.mimeType};base64,${image.buffer.toString("base64")}`
+	}
+
+	// options: baseDir (for relative paths, null to skip local files) and source
+	// (recorded in missingImages)
+	async convertImagesToBase64(imageUrls, options = {}) {
+		if (!this.includeImages) return []
 		if (!Array.isArray(imageUrls) || imageUrls.length === 0) {
 			return []
 		}
 
-		const base64Images = []
-		for (const url of imageUrls) {
-			if (
-				url &&
-				typeof url === "string" &&
-				(url.startsWith("http://") || url.startsWith("https://"))
-			) {
-				console.log(`  Downloading image: ${url}`)
-				const base64Image = await this.downloadImageAsBase64(url)
-				if (base64Image) {
-					// Remove data URL prefix and escape all slashes as \/
-					const base64Raw = base64Image
-						.replace(/^data:image\/[a-zA-Z0-9.+-]+;base64,/, "")
-						.replace(/\//g, "\\/") // Note: Add an additional slash to make replacement easier during file write (see note below)
-					base64Images.push(base64Raw)
+		// Images load in parallel, downloads are limited by downloadConcurrency
+		const refs = imageUrls.filter(
+			(url) => url && typeof url === "string" && url.trim()
+		)
+		const loaded = await Promise.all(
+			refs.map((url) => this.loadImage(url.trim(), options.baseDir))
+		)
+		let dataUrls = []
+		loaded.forEach((base64Image, i) => {
+			if (base64Image) {
+				dataUrls.push(base64Image)
+			} else {
+				const url = refs[i]
+				const missing = {
+					source: options.source || "",
+					file: this.currentSource,
+					image: url.length > 100 ? `${url.slice(0, 100)}...` : url,
 				}
+				this.missingImages.push(missing)
+				this.emit("image:failed", missing)
 			}
+		})
+
+		if (this.processImages && dataUrls.length > 0) {
+			const { images, dropped } = await processImages(dataUrls, {
+				maxSize: this.maxImageSize,
+				quality: this.imageQuality,
+				minSize: this.minImageSize,
+				duplicateThreshold: this.duplicateImageThreshold,
+			})
+			dropped.forEach(({ reason }) => {
+				this.logger.debug(`  Skipped image: ${reason}`)
+			})
+			dataUrls = images
+		}
+
+		return dataUrls.map((dataUrl) => this.encodeImageBase64(dataUrl))
+	}
+
+	// Print and clear the list of images that could not be found
+	reportMissingImages() {
+		if (this.missingImages.length === 0) return []
+		const missing = this.missingImages
+		this.missingImages = []
+		this.logger.warn(`\nImages not found: ${missing.length}`)
+		missing.forEach(({ source, image }) => {
+			this.logger.warn(`  ${source ? `${source}: ` : ""}${image}`)
+		})
+		return missing
+	}
+
+	// Print and clear the list of measurements that were left unconverted
+	reportMeasurementWarnings() {
+		if (this.measurementWarnings.length === 0) return []
+		const warnings = this.measurementWarnings
+		this.measurementWarnings = []
+		this.logger.warn(`\nMeasurements left unconverted: ${warnings.length}`)
+		warnings.forEach(({ source, text, reason }) => {
+			this.logger.warn(`  ${source ? `${source}: ` : ""}${text} (${reason})`)
+		})
+		return warnings
+	}
+
+	// Print and clear the list of files and URLs that produced no recipe
+	reportFailedFiles() {
+		if (this.failedFiles.length === 0) return []
+		const failed = this.failedFiles
+		this.failedFiles = []
+		this.logger.warn(`\nNot converted: ${failed.length}`)
+		failed.forEach(({ source, error }) =>
+			this.logger.warn(`  ${source}${error ? `: ${error}` : ""}`)
+		)
+		return failed
+	}
+
+	// Print and clear the validation issues found while writing recipes
+	reportLint() {
+		if (this.lintResults.length === 0) return []
+		const results = this.lintResults
+		this.lintResults = []
+		this.logger.info(`\nLint report: ${results.length} file(s) with issues`)
+		results.forEach(({ file, issues }) => {
+			this.logger.info(`  ${file}`)
+			issues.forEach(({ field, level, message }) => {
+				this.logger.info(`    ${level.padEnd(8)}${field}: ${message}`)
+			})
+		})
+		return results
+	}
+
+	// Write the combined file and report validation issues, missing images and
+	// unconverted measurements at the end of a run
+	async finishConversion(recipes) {
+		this.usedIds.clear()
+		this.reservedIds.clear()
+		const lint = this.reportLint()
+		const failed = this.strict
+			? lint.filter(({ issues }) => hasProblems(issues))
+			: []
+		// Create the archive (or other collection file) if recipes were converted
+		if (
+			recipes.length > 0 &&
+			failed.length === 0 &&
+			this.archive &&
+			!this.dryRun &&
+			this.outputWriter().collection
+		) {
+			await this.createCollectionFile(recipes)
+		}
+		this.finishRun({
+			recipes: recipes.length,
+			failedFiles: this.reportFailedFiles(),
+			lint,
+			missingImages: this.reportMissingImages(),
+			measurementWarnings: this.reportMeasurementWarnings(),
+		})
+		if (failed.length > 0) {
+			throw new Error(
+				`${failed.length} recipe(s) failed validation in strict mode and were not written, no archive was created`
+			)
 		}
-		return base64Images
 	}
 
 	// Utility methods
 	generateId(filePath) {
-		// Use filename without extension as base, or generate UUID
-		const basename = path.basename(filePath, path.extname(filePath))
-		return basename || uuidv4()
+		// Use filename without extension, an empty id gets a UUID from assignId
+		return path.basename(filePath, path.extname(filePath))
+	}
+
+	// Keep id for source, which had it on the previous run, so that a new source
+	// with the same id gets the suffix instead
+	reserveId(id, source) {
+		if (this.usedIds.has(id)) return
+		this.usedIds.add(id)
+		this.reservedIds.set(id, source)
+	}
+
+	// Final id for a recipe about to be written, following idStrategy. When the
+	// id is already taken in this run it gets a suffix derived from source, so
+	// the same files get the same ids on every run.
+	assignId(recipe, source = "") {
+		let id = recipeId(recipe, this.idStrategy)
+		const reserved = this.reservedIds.get(id) === source
+		if (reserved) this.reservedIds.delete(id)
+		if (this.usedIds.has(id) && !reserved) {
+			const base = id
+			const key = source || recipe.link || recipe.title
+			id = collisionId(base, key, this.idStrategy)
+			for (let n = 2; this.usedIds.has(id); n++) {
+				id = collisionId(base, `${key}\n${n}`, this.idStrategy)
+			}
+		}
+		this.usedIds.add(id)
+		return id
 	}
 
 	formatDuration(duration) {
-		// Convert ISO 8601 duration to readable format
-		if (duration.startsWith("PT")) {
-			const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?/)
-			if (match) {
-				const hours = parseInt(match[1] || 0)
-				const minutes = parseInt(match[2] || 0)
-				if (hours && minutes) {
-					return `${hours}h ${minutes}m`
-				} else if (hours) {
-					return `${hours}h`
-				} else if (minutes) {
-					return `${minutes}m`
+		// Normalise ISO 8601 or free text durations to the readable 'Xh Ym' format
+		return formatMinutesToHM(parseDuration(duration)) || duration
+	}
+
+	// Main conversion methods
+	// Write a recipe in this.format. Formats without a file per recipe
+	// (print) return the path of the collection file instead. Returns null when
+	// the recipe failed validation in strict mode and wasn't written.
+	writeRecipe(recipe, source = "") {
+		const writer = this.outputWriter()
+		recipe.id = this.assignId(recipe, source)
+		const outputPath = writer.render
+			? path.join(this.outputDir, `${recipe.id}${writer.extension}`)
+			: path.join(this.outputDir, this.collectionName(writer))
+		// Coerce in place so the archive gets the same fields as the file
+		const { recipe: valid, issues } = validateRecipe(recipe)
+		Object.assign(recipe, valid)
+		if (issues.length > 0) {
+			this.lintResults.push({ file: outputPath, title: recipe.title, issues })
+		}
+		// In strict mode a recipe that fails validation isn't written at all
+		const rejected = this.strict && hasProblems(issues)
+		if (rejected) return null
+		if (!this.dryRun && writer.render) {
+			this.ensureOutputDir()
+			fs.writeFileSync(outputPath, writer.render(recipe))
+		}
+		return outputPath
+	}
+
+	// List files below a directory, skipping hidden files and the output directory
+	listFiles(dir, recursive = true) {
+		const outputDir = path.resolve(this.outputDir)
+		const files = []
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			if (entry.name.startsWith(".")) continue
+			const entryPath = path.join(dir, entry.name)
+			if (entry.isDirectory()) {
+				if (recursive && path.resolve(entryPath) !== outputDir) {
+					files.push(...this.listFiles(entryPath, recursive))
 				}
+			} else if (entry.isFile()) {
+				files.push(entryPath)
 			}
 		}
-		return duration
+		return files.sort()
 	}
 
-	// Main conversion methods
-	async convertHTMLFiles() {
-		const htmlDir = path.join(this.recipesDir, "HTML")
-		if (!fs.existsSync(htmlDir)) {
-			console.log("HTML directory not found")
-			return []
+	// Parse a single file with the matching parser and write its .melarecipe output(s)
+	async convertFile(filePath, parser = this.parsers.find(filePath)) {
+		const recipes = []
+		for (const recipe of await this.parseFile(filePath, parser)) {
+			if (!this.matchesFilters(recipe)) {
+				this.recipeSkipped(filePath, "filtered")
+				continue
+			}
+			const outputPath = this.writeRecipe(
+				recipe,
+				path.relative(this.recipesDir, filePath)
+			)
+			if (!outputPath) {
+				this.recipeRejected(recipe, filePath)
+				continue
+			}
+			this.recipeConverted(recipe, outputPath, filePath)
+			recipes.push(recipe)
 		}
+		return recipes
+	}
 
-		const htmlFiles = fs
-			.readdirSync(htmlDir)
-			.filter((file) => file.endsWith(".html"))
-		const convertedRecipes = []
+	// Parse one file without writing it, always returning an array of recipes
+	async parseFile(filePath, parser = this.parsers.find(filePath)) {
+		if (!parser) return []
 
-		for (const file of htmlFiles) {
-			console.log(`Converting HTML: ${file}`)
-			const filePath = path.join(htmlDir, file)
-			const recipe = await this.parseHTMLRecipe(filePath)
+		this.logger.debug(
+			`Converting ${parser.name.toUpperCase()}: ${path.basename(filePath)}`
+		)
+		this.trackSource(filePath)
+		this.currentSource = filePath
+		let result
+		try {
+			result = await parser.parse(filePath)
+		} catch (error) {
+			this.logger.error(`Error parsing ${filePath}:`, error.message)
+			this.recipeFailed(filePath, error)
+		}
+		this.currentSource = null
+		const recipes = [].concat(result || []).filter((recipe) => recipe)
+		if (recipes.length === 0) this.recipeFailed(filePath, "no recipe found")
+		return recipes
+	}
 
-			if (recipe) {
-				const outputPath = path.join(this.outputDir, `${recipe.id}.melarecipe`)
-				fs.writeFileSync(outputPath, json)
-				convertedRecipes.push(recipe)
-				console.log(`✓ Converted: ${outputPath}`)
-			}
+	// Run log entry for a source file or URL, see finishRun
+	trackSource(source) {
+		if (!this.runStartedAt) this.runStartedAt = new Date()
+		if (!this.runLog.has(source)) {
+			this.runLog.set(source, {
+				source,
+				status: "pending",
+				outputs: [],
+				warnings: [],
+				error: null,
+			})
 		}
+		return this.runLog.get(source)
+	}
 
-		return convertedRecipes
+	// A recipe was written: log it once, then emit recipe:converted and record
+	// it in the run log for each source (several when duplicates were merged)
+	recipeConverted(recipe, outputPath, sources = outputPath) {
+		this.logger.info(`✓ Converted: ${outputPath}`)
+		for (const source of [].concat(sources)) {
+			const entry = this.trackSource(source)
+			entry.status = "converted"
+			if (!entry.outputs.includes(outputPath)) entry.outputs.push(outputPath)
+			this.emit("recipe:converted", { recipe, source, outputPath })
+		}
 	}
 
-	async convertYMLFiles() {
-		const ymlDir = path.join(this.recipesDir, "YML")
-		if (!fs.existsSync(ymlDir)) {
-			console.log("YML directory not found")
-			return []
+	// A recipe failed validation in strict mode and wasn't written: its sources
+	// count as failed
+	recipeRejected(recipe, sources) {
+		this.logger.warn(`✗ Not written, failed validation: ${recipe.title}`)
+		for (const source of [].concat(sources)) {
+			this.recipeFailed(source, "failed validation")
 		}
+	}
 
-		const ymlFiles = fs
-			.readdirSync(ymlDir)
-			.filter((file) => file.endsWith(".yml"))
-		const convertedRecipes = []
+	// A source gave no recipe: emit recipe:failed and record it in the run log.
+	// Only the first reason for a source is kept.
+	recipeFailed(source, error) {
+		const entry = this.trackSource(source)
+		if (entry.status === "failed") return
+		entry.status = "failed"
+		entry.error = error instanceof Error ? error.message : String(error)
+		this.failedFiles.push({ source, error: entry.error })
+		this.emit("recipe:failed", { source, error })
+	}
 
-		for (const file of ymlFiles) {
-			console.log(`Converting YML: ${file}`)
-			const filePath = path.join(ymlDir, file)
-			const recipe = this.parseYMLRecipe(filePath)
-
-			if (recipe) {
-				// Convert images to base64
-				console.log(`  Processing images for: ${recipe.title}`)
-				recipe.images = await this.convertImagesToBase64(recipe.images)
-
-				const outputPath = path.join(this.outputDir, `${recipe.id}.melarecipe`)
-				// Note: MelaRecipe images have this termination that screws with JSON.stringify so manually fix
-				const escapedRecipe = JSON.stringify(recipe, null, 2).replace(
-					/\\\//g,
-					"/"
+	// A source that wasn't converted on purpose: 'filtered' or 'unchanged'
+	recipeSkipped(source, status, outputs = []) {
+		const entry = this.trackSource(source)
+		if (entry.status === "pending") entry.status = status
+		entry.outputs.push(...outputs.filter((o) => !entry.outputs.includes(o)))
+	}
+
+	// The folder a run reads from is missing: record the run as failed, with
+	// inputMissing set so the CLI can exit with EXIT_USAGE
+	inputNotFound(dir) {
+		this.logger.warn(`Recipes directory not found: ${dir}`)
+		this.recipeFailed(dir, "directory not found")
+		this.finishRun({
+			recipes: 0,
+			failedFiles: this.reportFailedFiles(),
+			inputMissing: true,
+		})
+		return []
+	}
+
+	// Attach the warnings of a run to its sources, set lastRun, write the run
+	// summary and emit run:finished. Starts a new run log.
+	finishRun(details) {
+		const { lint = [], missingImages = [], measurementWarnings = [] } = details
+		const files = [...this.runLog.values()]
+		const warn = (source, warning) => {
+			if (this.runLog.has(source))
+				this.runLog.get(source).warnings.push(warning)
+		}
+		missingImages.forEach(({ file, image }) =>
+			warn(file, `image not found: ${image}`)
+		)
+		measurementWarnings.forEach(({ file, text, reason }) =>
+			warn(file, `${text} (${reason})`)
+		)
+		lint.forEach(({ file: outputPath, issues }) => {
+			files
+				.filter(({ outputs }) => outputs.includes(outputPath))
+				.forEach(({ source }) =>
+					issues.forEach(({ level, field, message }) =>
+						warn(source, `${level} ${field}: ${message}`)
+					)
 				)
-				fs.writeFileSync(outputPath, escapedRecipe)
-				convertedRecipes.push(recipe)
-				console.log(`✓ Converted: ${outputPath}`)
-			}
+		})
+
+		const totals = {}
+		files.forEach(({ status }) => (totals[status] = (totals[status] || 0) + 1))
+		const summary = {
+			startedAt: (this.runStartedAt || new Date()).toISOString(),
+			finishedAt: new Date().toISOString(),
+			recipes: details.recipes,
+			totals,
+			files,
 		}
+		this.runLog = new Map()
+		this.runStartedAt = null
+		this.lastRun = { ...details, summary }
 
-		// Create ZIP file if recipes were converted
-		if (convertedRecipes.length > 0) {
-			this.createMelaRecipesFile(convertedRecipes)
+		if (this.summaryPath) this.writeSummary(summary)
+		this.emit("run:finished", summary)
+		return summary
+	}
+
+	// Write the run summary as JSON, or as CSV with one row per source when
+	// summaryPath ends in .csv
+	writeSummary(summary) {
+		fs.mkdirSync(path.dirname(this.summaryPath), { recursive: true })
+		if (path.extname(this.summaryPath).toLowerCase() !== ".csv") {
+			fs.writeFileSync(this.summaryPath, JSON.stringify(summary, null, 2))
+			return
 		}
+		const cell = (value) =>
+			/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+		const rows = summary.files.map((file) =>
+			[
+				file.source,
+				file.status,
+				file.outputs.join("; "),
+				file.warnings.join("; "),
+				file.error || "",
+			]
+				.map(cell)
+				.join(",")
+		)
+		fs.writeFileSync(
+			this.summaryPath,
+			["source,status,outputs,warnings,error", ...rows].join("\n") + "\n"
+		)
+	}
+
+	// Update the progress counter and emit progress
+	reportProgress(current, total, source) {
+		if (typeof this.logger.progress === "function") {
+			this.logger.progress(current, total, path.basename(source))
+		}
+		this.emit("progress", { current, total, source })
+	}
+
+	// True when a recipe passes the category and title filters
+	matchesFilters(recipe) {
+		if (
+			this.titleFilter &&
+			!String(recipe.title || "")
+				.toLowerCase()
+				.includes(this.titleFilter)
+		) {
+			return false
+		}
+		if (this.categoryFilter.length > 0) {
+			const categories = [].concat(recipe.categories || [])
+			return categories.some((category) =>
+				this.categoryFilter.includes(String(category).toLowerCase())
+			)
+		}
+		return true
+	}
+
+	hasFilters() {
+		return Boolean(this.titleFilter) || this.categoryFilter.length > 0
+	}
+
+	// Merge recipes that appear in more than one source and print what was merged.
+	// entries are { recipe, source, format }; returns { recipe, entries } for
+	// each remaining recipe with the entries it was made from.
+	mergeDuplicates(entries) {
+		const { recipes, groups, merged } = dedupeRecipes(entries, {
+			policy: this.mergePolicy,
+			similarity: this.dedupeSimilarity,
+		})
+		if (merged.length > 0) {
+			this.logger.info(`\nMerged duplicates: ${merged.length}`)
+			merged.forEach(({ title, reason, sources, fields }) => {
+				this.logger.info(`  ${title} (same ${reason})`)
+				sources.forEach((source) => this.logger.info(`    ${source}`))
+				const taken = Object.entries(fields)
+				if (taken.length > 0) {
+					this.logger.info(
+						`    kept ${taken
+							.map(
+								([field, source]) => `${field} from ${path.basename(source)}`
+							)
+							.join(", ")}`
+					)
+				}
+			})
+		}
+		return recipes.map((recipe, i) => ({ recipe, entries: groups[i] }))
+	}
+
+	// Convert every file of one format in a fixed subfolder of recipesDir
+	async convertFormatDirectory(subdir, parserName) {
+		const dir = path.join(this.recipesDir, subdir)
+		if (!fs.existsSync(dir)) return this.inputNotFound(dir)
+
+		const parser = this.parsers.get(parserName)
+		const files = this.listFiles(dir, false).filter(
+			(filePath) => this.parsers.find(filePath) === parser
+		)
+		const convertedRecipes = []
+		for (const [i, filePath] of files.entries()) {
+			convertedRecipes.push(...(await this.convertFile(filePath, parser)))
+			this.reportProgress(i + 1, files.length, filePath)
+		}
+
+		await this.finishConversion(convertedRecipes)
 
 		return convertedRecipes
 	}
 
+	async convertHTMLFiles() {
+		return this.convertFormatDirectory("HTML", "html")
+	}
+
+	async convertYMLFiles() {
+		return this.convertFormatDirectory("YML", "yml")
+	}
+
+	// Walk recipesDir recursively and convert every file a registered parser understands.
+	// A manifest in outputDir lets the next run skip files that haven't changed.
 	async convertAll() {
-		console.log("Starting recipe conversion...")
+		this.logger.info("Starting recipe conversion...")
 
-		const htmlRecipes = await this.convertHTMLFiles()
-		const ymlRecipes = await this.convertYMLFiles()
+		if (!fs.existsSync(this.recipesDir)) {
+			return this.inputNotFound(this.recipesDir)
+		}
 
-		const allRecipes = [...htmlRecipes, ...ymlRecipes]
+		const files = this.listFiles(this.recipesDir)
+			.map((filePath) => ({ filePath, parser: this.parsers.find(filePath) }))
+			.filter(({ parser }) => parser)
+			.map((file) => ({
+				...file,
+				source: path.relative(this.recipesDir, file.filePath),
+				hash: Manifest.hashFile(file.filePath),
+			}))
+		const previous = new Manifest(this.manifestPath()).load()
+		const unchanged = this.unchangedSources(files, previous)
+
+		// Unchanged recipes are read back from their output, once per output. The
+		// sources of an output that can't be read are converted again.
+		const cached = new Map()
+		const outputsOf = (sources) =>
+			new Set([...sources].flatMap((source) => previous.get(source).outputs))
+		for (const output of outputsOf(unchanged)) {
+			try {
+				const outputPath = path.join(this.outputDir, output)
+				cached.set(output, JSON.parse(fs.readFileSync(outputPath, "utf-8")))
+			} catch (error) {
+				this.logger.warn(`Can't read ${output}, converting it again`)
+				previous.sourcesOf(output).forEach((source) => unchanged.delete(source))
+			}
+		}
+		const entries = [...outputsOf(unchanged)].map((output) => ({
+			recipe: cached.get(output),
+			source: path.join(this.outputDir, output),
+			format: "cached",
+			output,
+		}))
+		for (const source of unchanged) {
+			this.recipeSkipped(
+				path.join(this.recipesDir, source),
+				"unchanged",
+				previous
+					.get(source)
+					.outputs.map((output) => path.join(this.outputDir, output))
+			)
+		}
 
-		// Create a combined .melarecipes file (ZIP)
-		if (allRecipes.length > 0) {
-			this.createMelaRecipesFile(allRecipes)
+		const counts = {}
+		const changed = files.filter(({ source }) => !unchanged.has(source))
+		for (const [i, file] of changed.entries()) {
+			const recipes = await this.parseFile(file.filePath, file.parser)
+			this.reportProgress(i + 1, changed.length, file.filePath)
+			counts[file.parser.name] =
+				(counts[file.parser.name] || 0) + recipes.length
+			recipes.forEach((recipe) =>
+				entries.push({
+					recipe,
+					source: file.filePath,
+					format: file.parser.name,
+					file,
+				})
+			)
 		}
 
-		console.log(`\nConversion complete!`)
-		console.log(`HTML recipes converted: ${htmlRecipes.length}`)
-		console.log(`YML recipes converted: ${ymlRecipes.length}`)
-		console.log(`Total recipes: ${allRecipes.length}`)
-		console.log(`Output directory: ${this.outputDir}`)
+		const results = (
+			this.dedupe
+				? this.mergeDuplicates(entries)
+				: entries.map((entry) => ({ recipe: entry.recipe, entries: [entry] }))
+		).filter(({ recipe, entries: group }) => {
+			if (this.matchesFilters(recipe)) return true
+			group
+				.filter((entry) => entry.file)
+				.forEach((entry) => this.recipeSkipped(entry.source, "filtered"))
+			return false
+		})
+
+		// Cached recipes that aren't rewritten keep their ids
+		results
+			.filter(({ entries: group }) => group.length === 1 && group[0].output)
+			.forEach(({ recipe }) => this.usedIds.add(recipe.id))
+		// Changed sources keep the id they had, whatever order they're written in
+		const writer = this.outputWriter()
+		for (const { recipe, entries: group } of results) {
+			const fresh = group.find((entry) => entry.file)
+			const before = fresh && previous.get(fresh.file.source)
+			const id = recipeId(recipe, this.idStrategy)
+			if (before && before.outputs.includes(`${id}${writer.extension}`)) {
+				this.reserveId(id, fresh.file.source)
+			}
+		}
+
+		const manifest = new Manifest(this.manifestPath(), this.outputSettings())
+		const allRecipes = []
+		for (const { recipe, entries: group } of results) {
+			// A cached recipe that wasn't merged with anything is already on disk
+			let output = group.length === 1 ? group[0].output : null
+			if (!output) {
+				const fresh = group.find((entry) => entry.file)
+				const sources = group
+					.filter((entry) => entry.file)
+					.map((entry) => entry.source)
+				const outputPath = this.writeRecipe(recipe, fresh && fresh.file.source)
+				// A rejected recipe is left out of the manifest, so it is tried again
+				if (!outputPath) {
+					this.recipeRejected(recipe, sources)
+					continue
+				}
+				// Every source merged into the recipe counts as converted
+				this.recipeConverted(recipe, outputPath, sources)
+				output = path.basename(outputPath)
+			}
+			allRecipes.push(recipe)
+			for (const entry of group) {
+				if (entry.file) {
+					const { source, hash, parser } = entry.file
+					manifest.addOutput(source, { hash, parser: parser.name }, output)
+					continue
+				}
+				for (const source of previous.sourcesOf(entry.output)) {
+					if (unchanged.has(source)) {
+						manifest.addOutput(source, previous.get(source), output)
+					}
+				}
+			}
+		}
+		this.removeStaleOutputs(previous, manifest)
+		if (!this.dryRun) {
+			this.ensureOutputDir()
+			manifest.save()
+		}
+
+		await this.finishConversion(allRecipes)
+
+		this.logger.info(`\nConversion complete!`)
+		for (const [name, count] of Object.entries(counts)) {
+			this.logger.info(`${name.toUpperCase()} recipes converted: ${count}`)
+		}
+		if (unchanged.size > 0) {
+			this.logger.info(`Unchanged files skipped: ${unchanged.size}`)
+		}
+		this.logger.info(`Total recipes: ${allRecipes.length}`)
+		this.logger.info(`Output directory: ${this.outputDir}`)
 
 		return allRecipes
 	}
 
-	createMelaRecipesFile(recipes) {
-		const archiver = require("archiver")
-		const output = fs.createWriteStream(
-			path.join(this.outputDir, "recipes.melarecipes")
+	// Convert files given by path (e.g. on the command line) with the parser
+	// matching each one, merging duplicates as convertAll does
+	async convertFiles(filePaths) {
+		const entries = []
+		const files = [].concat(filePaths || [])
+		for (const [i, filePath] of files.entries()) {
+			const parser = this.parsers.find(filePath)
+			if (!parser) {
+				this.logger.warn(`No parser understands ${filePath}`)
+				this.recipeFailed(filePath, "no parser for this file type")
+				continue
+			}
+			const recipes = await this.parseFile(filePath, parser)
+			this.reportProgress(i + 1, files.length, filePath)
+			recipes.forEach((recipe) =>
+				entries.push({ recipe, source: filePath, format: parser.name })
+			)
+		}
+
+		const results = this.dedupe
+			? this.mergeDuplicates(entries)
+			: entries.map((entry) => ({ recipe: entry.recipe, entries: [entry] }))
+		const convertedRecipes = []
+		for (const { recipe, entries: group } of results) {
+			if (!this.matchesFilters(recipe)) {
+				group.forEach((entry) => this.recipeSkipped(entry.source, "filtered"))
+				continue
+			}
+			const sources = group.map((entry) => entry.source)
+			const outputPath = this.writeRecipe(
+				recipe,
+				path.relative(this.recipesDir, group[0].source)
+			)
+			if (!outputPath) {
+				this.recipeRejected(recipe, sources)
+				continue
+			}
+			this.recipeConverted(recipe, outputPath, sources)
+			convertedRecipes.push(recipe)
+		}
+
+		await this.finishConversion(convertedRecipes)
+
+		return convertedRecipes
+	}
+
+	// Convert recipesDir, then convert again whenever recipe files are added,
+	// changed or deleted. Each run is an incremental convertAll, so only changed
+	// files are parsed while the outputs, archive and manifest stay up to date.
+	// options: delay (ms to wait for changes to settle, default 1000).
+	// Resolves once watching, with { close() } to stop.
+	async watch(options = {}) {
+		if (!fs.existsSync(this.recipesDir)) {
+			throw new Error(`Recipes directory not found: ${this.recipesDir}`)
+		}
+
+		let running = null
+		let again = false
+		const run = async () => {
+			if (running) {
+				again = true
+				return running
+			}
+			running = (async () => {
+				do {
+					again = false
+					try {
+						await this.convertAll()
+					} catch (error) {
+						this.logger.error("Error during conversion:", error.message)
+					}
+				} while (again)
+			})()
+			await running
+			running = null
+		}
+		await run()
+
+		const extensions = this.parsers.extensions()
+		const outputDir = path.resolve(this.outputDir)
+		// Recipe files, and folders that may hold them (gone ones included)
+		const ignore = (filePath) => {
+			const resolved = path.resolve(filePath)
+			if (resolved === outputDir || resolved.startsWith(outputDir + path.sep)) {
+				return true
+			}
+			const ext = path.extname(filePath).toLowerCase()
+			if (extensions.includes(ext)) return false
+			try {
+				return !fs.statSync(filePath).isDirectory()
+			} catch (e) {
+				return Boolean(ext)
+			}
+		}
+		const watcher = watchTree(
+			this.recipesDir,
+			(paths) => {
+				this.logger.info(
+					`\nChanged: ${paths
+						.map((filePath) => path.relative(this.recipesDir, filePath))
+						.join(", ")}`
+				)
+				run()
+			},
+			{ delay: options.delay, ignore }
 		)
-		const archive = archiver("zip", { zlib: { level: 9 } })
+		this.logger.info(`\nWatching ${this.recipesDir} for changes...`)
+		return watcher
+	}
+
+	// Each format keeps its own manifest, so switching formats doesn't remove
+	// the outputs of another
+	manifestPath() {
+		const suffix = this.format === "mela" ? "" : `-${this.format}`
+		return path.join(this.outputDir, `.manifest${suffix}.json`)
+	}
+
+	// Options that change what a recipe converts to. Outputs made with other
+	// settings are not reused.
+	outputSettings() {
+		return {
+			titleCaseMode: this.titleCaseMode,
+			processImages: this.processImages,
+			maxImageSize: this.maxImageSize,
+			imageQuality: this.imageQuality,
+			minImageSize: this.minImageSize,
+			duplicateImageThreshold: this.duplicateImageThreshold,
+			structuredIngredients: this.structuredIngredients,
+			scaleTo: this.scaleTo,
+			units: this.units,
+			nutritionPerServing: this.nutritionPerServing,
+			format: this.format,
+			taxonomy: this.taxonomyConfig,
+			dedupe: this.dedupe,
+			mergePolicy: this.mergePolicy,
+			dedupeSimilarity: this.dedupeSimilarity ?? null,
+			idStrategy: this.idStrategy,
+			includeImages: this.includeImages,
+			categoryFilter: this.categoryFilter,
+			titleFilter: this.titleFilter,
+		}
+	}
+
+	// Sources whose content, parser and outputs are the same as in the previous
+	// manifest, so they don't need converting again
+	unchangedSources(files, previous) {
+		const unchanged = new Set()
+		// Unchanged recipes are read back from their .melarecipe outputs, other
+		// formats are converted in full
+		if (
+			!this.incremental ||
+			this.format !== "mela" ||
+			JSON.stringify(previous.settings) !==
+				JSON.stringify(this.outputSettings())
+		) {
+			return unchanged
+		}
 
-		output.on("close", () => {
-			console.log(`✓ Created recipes.melarecipes (${archive.pointer()} bytes)`)
+		for (const file of files) {
+			const entry = previous.get(file.source)
+			if (
+				entry &&
+				entry.hash === file.hash &&
+				entry.parser === file.parser.name &&
+				entry.outputs.every((output) =>
+					fs.existsSync(path.join(this.outputDir, output))
+				)
+			) {
+				unchanged.add(file.source)
+			}
+		}
+
+		// A merged recipe is rebuilt from all of its sources when one of them
+		// changed or was deleted
+		for (const source of previous.sources()) {
+			if (unchanged.has(source)) continue
+			for (const output of previous.get(source).outputs) {
+				previous.sourcesOf(output).forEach((s) => unchanged.delete(s))
+			}
+		}
+		return unchanged
+	}
+
+	// Remove (or with removeDeleted: false, only list) outputs that no source
+	// produces any more, e.g. because the source file was deleted
+	removeStaleOutputs(previous, manifest) {
+		const current = new Set(manifest.outputs())
+		const outputs = previous.outputs()
+		// Without any recipes left no new archive is written, so the old one
+		// (still holding the deleted recipes) is stale as well
+		const writer = this.outputWriter()
+		if (current.size === 0 && outputs.length > 0 && writer.collection) {
+			outputs.push(this.collectionName(writer))
+		}
+		const stale = [...new Set(outputs)]
+			.filter((output) => !current.has(output))
+			.filter((output) => fs.existsSync(path.join(this.outputDir, output)))
+		if (stale.length === 0) return []
+
+		// Filtered runs leave the outputs of recipes they skipped alone
+		const remove = this.removeDeleted && !this.dryRun && !this.hasFilters()
+		this.logger.info(
+			remove
+				? `\nRemoved stale outputs: ${stale.length}`
+				: `\nStale outputs (kept): ${stale.length}`
+		)
+		stale.forEach((output) => {
+			const outputPath = path.join(this.outputDir, output)
+			if (remove) fs.unlinkSync(outputPath)
+			this.logger.info(`  ${outputPath}`)
 		})
+		return stale
+	}
+
+	// Fetch recipe web pages and convert them
+	async convertURL(urls) {
+		const convertedRecipes = []
+		urls = [].concat(urls || [])
+		for (const [i, url] of urls.entries()) {
+			this.logger.debug(`Converting URL: ${url}`)
+			this.reportProgress(i + 1, urls.length, url)
+			if (!isWebURL(url)) {
+				this.logger.warn(`Not an http(s) URL: ${url}`)
+				this.recipeFailed(url, "invalid URL")
+				continue
+			}
+			const page = await this.fetchURL(url, "page")
+			if (!page) {
+				this.recipeFailed(url, "download failed")
+				continue
+			}
+			if (!/html|xml/i.test(page.contentType)) {
+				this.logger.warn(
+					`URL did not return an HTML page: ${url} (Content-Type: ${page.contentType})`
+				)
+				this.recipeFailed(url, `not an HTML page (${page.contentType})`)
+				continue
+			}
+
+			this.currentSource = url
+			try {
+				const recipe = await this.parseHTMLString(
+					page.buffer.toString("utf-8"),
+					{
+						id: this.generateId(new URL(page.url).pathname),
+						source: url,
+						baseUrl: page.url,
+					}
+				)
+				recipe.link = page.url
+				if (this.matchesFilters(recipe)) {
+					const outputPath = this.writeRecipe(recipe, page.url)
+					if (outputPath) {
+						convertedRecipes.push(recipe)
+						this.recipeConverted(recipe, outputPath, url)
+					} else {
+						this.recipeRejected(recipe, url)
+					}
+				} else {
+					this.recipeSkipped(url, "filtered")
+				}
+			} catch (error) {
+				this.logger.error(`Error parsing HTML recipe ${url}:`, error.message)
+				this.recipeFailed(url, error)
+			}
+			this.currentSource = null
+		}
+
+		await this.finishConversion(convertedRecipes)
+
+		return convertedRecipes
+	}
+
+	// Convert one or more Paprika exports (.paprikarecipes) into Mela recipes
+	async convertPaprikaArchive(filePaths) {
+		const parser = this.parsers.get("paprika")
+		const convertedRecipes = []
+		filePaths = [].concat(filePaths || [])
+		for (const [i, filePath] of filePaths.entries()) {
+			if (!fs.existsSync(filePath)) {
+				this.logger.warn(`Paprika file not found: ${filePath}`)
+				this.recipeFailed(filePath, "file not found")
+				continue
+			}
+			convertedRecipes.push(...(await this.convertFile(filePath, parser)))
+			this.reportProgress(i + 1, filePaths.length, filePath)
+		}
+
+		await this.finishConversion(convertedRecipes)
+
+		return convertedRecipes
+	}
+
+	// Reverse conversion: Mela recipes back to Cookbook YML and schema.org HTML
+	async convertMelaFiles(filePaths = [], options = {}) {
+		// imageMode: 'dataUri' (default) embeds images, 'file' writes them beside the output
+		const imageMode = options.imageMode || "dataUri"
+
+		if (filePaths.length === 0) {
+			const melaDir = path.join(this.recipesDir, "Mela")
+			if (!fs.existsSync(melaDir)) return this.inputNotFound(melaDir)
+			filePaths = fs
+				.readdirSync(melaDir)
+				.filter(
+					(file) =>
+						file.endsWith(".melarecipe") || file.endsWith(".melarecipes")
+				)
+				.map((file) => path.join(melaDir, file))
+		}
+
+		const formats = [
+			{
+				dir: path.join(this.outputDir, "YML"),
+				ext: "yml",
+				render: toCookbookYML,
+			},
+			{
+				dir: path.join(this.outputDir, "HTML"),
+				ext: "html",
+				render: toSchemaHTML,
+			},
+		]
+		if (!this.dryRun) {
+			formats.forEach((format) => fs.mkdirSync(format.dir, { recursive: true }))
+		}
 
-		archive.on("error", (err) => {
-			throw err
+		const convertedRecipes = []
+		for (const [i, filePath] of filePaths.entries()) {
+			this.logger.debug(`Converting Mela: ${path.basename(filePath)}`)
+			this.reportProgress(i + 1, filePaths.length, filePath)
+			this.trackSource(filePath)
+			let recipes
+			try {
+				recipes = readMelaFile(filePath)
+			} catch (error) {
+				this.logger.error(`Error reading Mela file ${filePath}:`, error.message)
+				this.recipeFailed(filePath, error)
+				continue
+			}
+
+			for (const recipe of recipes) {
+				if (!this.matchesFilters(recipe)) {
+					this.recipeSkipped(filePath, "filtered")
+					continue
+				}
+				const id = path.basename(String(recipe.id || "")) || uuidv4()
+				const images = (this.includeImages ? recipe.images || [] : [])
+					.map(decodeMelaImage)
+					.filter((image) => image)
+
+				for (const format of formats) {
+					let imageRefs = images.map(toDataURI)
+					if (imageMode === "file") {
+						const imageDir = path.join(format.dir, "images")
+						if (!this.dryRun) fs.mkdirSync(imageDir, { recursive: true })
+						imageRefs = images.map((image, i) => {
+							const name = `${id}${i ? `-${i + 1}` : ""}.${image.extension}`
+							if (!this.dryRun) {
+								fs.writeFileSync(path.join(imageDir, name), image.buffer)
+							}
+							return `images/${name}`
+						})
+					}
+					const outputPath = path.join(format.dir, `${id}.${format.ext}`)
+					const output = format.render(recipe, imageRefs)
+					if (!this.dryRun) fs.writeFileSync(outputPath, output)
+					this.recipeConverted(recipe, outputPath, filePath)
+				}
+				convertedRecipes.push(recipe)
+			}
+		}
+
+		this.finishRun({
+			recipes: convertedRecipes.length,
+			failedFiles: this.reportFailedFiles(),
 		})
 
-		archive.pipe(output)
+		return convertedRecipes
+	}
 
-		recipes.forEach((recipe) => {
-			// Note: MelaRecipe images have this termination that screws with JSON.stringify so manually fix
-			// Unescape slashes in base64 image strings for compatibility with the Mela app
-			const escapedRecipe = JSON.stringify(recipe, null, 2).replace(
-				/\\\//g,
-				"/"
-			)
-			archive.append(escapedRecipe, {
-				name: `${recipe.id}.melarecipe`,
-			})
+	// Write the file holding every recipe (the .melarecipes archive for Mela),
+	// resolving with its path once it is complete
+	async createCollectionFile(recipes) {
+		const writer = this.outputWriter()
+		const name = this.collectionName(writer)
+		const content = await writer.collection.render(recipes, {
+			title: this.getTitle(
+				path.basename(name, writer.collection.extension).replace(/[-_]+/g, " ")
+			),
 		})
+		this.ensureOutputDir()
+		const filePath = path.join(this.outputDir, name)
+		fs.writeFileSync(filePath, content)
+		this.logger.info(`✓ Created ${name} (${Buffer.byteLength(content)} bytes)`)
+		return filePath
+	}
 
-		archive.finalize()
+	// Write the combined archive, resolving with its path once it is complete.
+	// Kept for callers from before output formats, see createCollectionFile.
+	async createMelaRecipesFile(recipes) {
+		return this.createCollectionFile(recipes)
 	}
 }
 
+// In-memory API: strings and buffers in, recipes, JSON and archive buffers out.
+// options are RecipeConverter options; nothing is written to disk unless asked
+// for, the image cache is off unless imageCache is true.
+function inMemoryConverter(options) {
+	return new RecipeConverter({
+		imageCache: false,
+		summary: false,
+		archive: false,
+		...options,
+	})
+}
+
+// Parse an HTML page into a recipe. baseUrl resolves relative image URLs;
+// local image files are only read when baseDir is given.
+async function fromHTML(html, options = {}) {
+	const { id, baseUrl, baseDir = null, ...converterOptions } = options
+	return inMemoryConverter(converterOptions).parseHTMLString(String(html), {
+		id,
+		baseUrl,
+		baseDir,
+		source: baseUrl,
+	})
+}
+
+// Parse a Cookbook YML document into a recipe, options as for fromHTML.
+// Throws when it isn't one.
+async function fromYAML(yml, options = {}) {
+	const { id, baseDir = null, ...converterOptions } = options
+	const converter = inMemoryConverter(converterOptions)
+	const recipe = converter.parseYMLString(String(yml), { id })
+	return converter.loadRecipeImages(recipe, { baseDir, source: "YML" })
+}
+
 // CLI usage
 if (require.main === module) {
-	const converter = new RecipeConverter()
-
-	const args = process.argv.slice(2)
-	const command = args[0]
+	const cli = require("./lib/cli")
 
 	;(async () => {
+		let command, positionals, options, files
 		try {
+			const args = cli.parseArgs(process.argv.slice(2))
+			command = args.command
+			positionals = args.positionals
+			options = args.options
+			if (options.help) {
+				console.log(cli.HELP)
+				return
+			}
+			if (options.version) {
+				console.log(require("./package.json").version)
+				return
+			}
+			if (command === "files") files = cli.expandFiles(positionals)
+			if (["url", "paprika"].includes(command) && positionals.length === 0) {
+				throw new cli.UsageError(`${command} needs at least one argument`)
+			}
+		} catch (error) {
+			if (!(error instanceof cli.UsageError)) throw error
+			console.error(`${error.message}\n\nRun with --help for usage.`)
+			process.exitCode = cli.EXIT_USAGE
+			return
+		}
+
+		try {
+			const converter = new RecipeConverter(cli.converterOptions(options))
+			if (converter.dryRun) {
+				converter.logger.info("Dry run: nothing will be written")
+			}
 			switch (command) {
 				case "html":
 					await converter.convertHTMLFiles()
@@ -657,16 +2133,67 @@ if (require.main === module) {
 				case "yml":
 					await converter.convertYMLFiles()
 					break
+				case "url":
+					await converter.convertURL(positionals)
+					break
+				case "paprika":
+					await converter.convertPaprikaArchive(positionals)
+					break
+				case "mela":
+					await converter.convertMelaFiles(positionals)
+					break
+				case "files":
+					await converter.convertFiles(files)
+					break
+				case "watch": {
+					const watcher = await converter.watch()
+					process.once("SIGINT", () => {
+						watcher.close()
+						converter.logger.info("\nStopped watching")
+					})
+					return
+				}
+				case "serve": {
+					const { startServer } = require("./lib/server")
+					const { url } = await startServer({
+						port: options.port,
+						archiveName: converter.archiveName,
+						logger: converter.logger,
+						// Uploads are only parsed, never written to the output folder
+						createConverter: () =>
+							new RecipeConverter({
+								...cli.converterOptions(options),
+								logger: converter.logger,
+								dryRun: true,
+								archive: false,
+								summary: false,
+							}),
+					})
+					converter.logger.info(`Recipe converter running at ${url}`)
+					converter.logger.info("Press Ctrl+C to stop")
+					return
+				}
 				case "all":
 				default:
 					await converter.convertAll()
 					break
 			}
+			const run = converter.lastRun
+			if (run && run.inputMissing) {
+				process.exitCode = cli.EXIT_USAGE
+			} else {
+				process.exitCode =
+					run && run.failedFiles.length > 0 ? cli.EXIT_PARTIAL : cli.EXIT_OK
+			}
 		} catch (error) {
-			console.error("Error during conversion:", error)
-			process.exit(1)
+			console.error("Error during conversion:", error.message)
+			process.exitCode = cli.EXIT_FAILED
 		}
 	})()
 }
 
 module.exports = RecipeConverter
+module.exports.fromHTML = fromHTML
+module.exports.fromYAML = fromYAML
+module.exports.toMelaJSON = toMelaJSON
+module.exports.toMelaRecipesBuffer = toMelaRecipesBuffer
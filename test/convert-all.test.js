@@ -0,0 +1,228 @@
+const { test, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const AdmZip = require("adm-zip")
+const RecipeConverter = require("../recipe-converter")
+
+const tempDirs = []
+
+after(() => {
+	tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }))
+})
+
+function tempDir() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "convert-all-"))
+	tempDirs.push(dir)
+	return dir
+}
+
+test("records a missing input folder as a failed run", async () => {
+	const root = tempDir()
+	const recipesDir = path.join(root, "missing")
+	const converter = new RecipeConverter({
+		recipesDir,
+		outputDir: path.join(root, "output"),
+		logLevel: "silent",
+		summary: false,
+	})
+	const recipes = await converter.convertAll()
+	assert.deepStrictEqual(recipes, [])
+	assert.strictEqual(converter.lastRun.inputMissing, true)
+	assert.deepStrictEqual(converter.lastRun.failedFiles, [
+		{ source: recipesDir, error: "directory not found" },
+	])
+})
+
+test("strict mode fails on errors but not on warnings", async () => {
+	const outputDir = tempDir()
+	const converter = new RecipeConverter({
+		outputDir,
+		logLevel: "silent",
+		summary: false,
+		strict: true,
+	})
+	const date = 1700000000
+	// No ingredients or instructions is only a warning, an empty title an error
+	const soup = { title: "Soup", id: "soup", date }
+	const untitled = { title: "", id: "untitled", date, ingredients: "1 onion" }
+	converter.writeRecipe(soup)
+	converter.writeRecipe(untitled)
+	await assert.rejects(
+		converter.finishConversion([soup, untitled]),
+		/1 recipe\(s\) failed validation/
+	)
+	assert.deepStrictEqual(fs.readdirSync(outputDir), ["soup.melarecipe"])
+})
+
+test("converts a source again when its cached output can't be read", async () => {
+	const root = tempDir()
+	const recipesDir = path.join(root, "recipes")
+	const outputDir = path.join(root, "output")
+	fs.mkdirSync(recipesDir)
+	fs.writeFileSync(
+		path.join(recipesDir, "soup.yml"),
+		"name: Soup\ningredients:\n  - 1 onion\n"
+	)
+	const convert = () =>
+		new RecipeConverter({
+			recipesDir,
+			outputDir,
+			logLevel: "silent",
+			summary: false,
+		}).convertAll()
+
+	await convert()
+	const outputPath = path.join(outputDir, "soup.melarecipe")
+	fs.writeFileSync(outputPath, "{ not json")
+	const recipes = await convert()
+	assert.deepStrictEqual(
+		recipes.map(({ title }) => title),
+		["Soup"]
+	)
+	assert.strictEqual(
+		JSON.parse(fs.readFileSync(outputPath, "utf-8")).title,
+		"Soup"
+	)
+})
+
+test("logs a merged recipe once", async () => {
+	const root = tempDir()
+	const recipesDir = path.join(root, "recipes")
+	fs.mkdirSync(recipesDir)
+	const yml = "name: Soup\ningredients: |\n  1 onion\n  1 kg tomatoes\n"
+	fs.writeFileSync(path.join(recipesDir, "soup.yml"), yml)
+	fs.writeFileSync(path.join(recipesDir, "soup-copy.yml"), yml)
+	const lines = []
+	const log = (message) => lines.push(String(message))
+	const converter = new RecipeConverter({
+		recipesDir,
+		outputDir: path.join(root, "output"),
+		logger: { error: log, warn: log, info: log, debug() {} },
+		summary: false,
+	})
+	const converted = []
+	converter.on("recipe:converted", ({ source }) => converted.push(source))
+
+	const recipes = await converter.convertAll()
+	assert.strictEqual(recipes.length, 1)
+	assert.strictEqual(lines.filter((line) => /Converted:/.test(line)).length, 1)
+	assert.strictEqual(converted.length, 2)
+})
+
+test("strict mode records a rejected recipe as failed, not converted", async () => {
+	const root = tempDir()
+	const recipesDir = path.join(root, "recipes")
+	const outputDir = path.join(root, "output")
+	fs.mkdirSync(recipesDir)
+	fs.writeFileSync(
+		path.join(recipesDir, "soup.yml"),
+		"name: Soup\ningredients: |\n  1 onion\n"
+	)
+	fs.writeFileSync(
+		path.join(recipesDir, "untitled.yml"),
+		'name: ""\ningredients: |\n  1 onion\n'
+	)
+	const converter = new RecipeConverter({
+		recipesDir,
+		outputDir,
+		logLevel: "silent",
+		summary: false,
+		strict: true,
+	})
+	const converted = []
+	const failed = []
+	converter.on("recipe:converted", ({ source }) => converted.push(source))
+	converter.on("recipe:failed", ({ source }) => failed.push(source))
+
+	await assert.rejects(converter.convertAll(), /failed validation/)
+	const untitled = path.join(recipesDir, "untitled.yml")
+	assert.deepStrictEqual(converted, [path.join(recipesDir, "soup.yml")])
+	assert.deepStrictEqual(failed, [untitled])
+	const status = Object.fromEntries(
+		converter.lastRun.summary.files.map((file) => [file.source, file.status])
+	)
+	assert.strictEqual(status[untitled], "failed")
+	const manifest = JSON.parse(
+		fs.readFileSync(path.join(outputDir, ".manifest.json"), "utf-8")
+	)
+	assert.deepStrictEqual(Object.keys(manifest.files), ["soup.yml"])
+	assert.deepStrictEqual(fs.readdirSync(outputDir).sort(), [
+		".manifest.json",
+		"soup.melarecipe",
+	])
+})
+
+test("createMelaRecipesFile writes the archive", async () => {
+	const outputDir = tempDir()
+	const converter = new RecipeConverter({ outputDir, logLevel: "silent" })
+	const filePath = await converter.createMelaRecipesFile([
+		{ title: "Soup", id: "soup", date: 1700000000 },
+	])
+	assert.strictEqual(filePath, path.join(outputDir, "recipes.melarecipes"))
+	const zip = new AdmZip(fs.readFileSync(filePath))
+	assert.deepStrictEqual(
+		zip.getEntries().map((entry) => entry.entryName),
+		["soup.melarecipe"]
+	)
+})
+
+test("removes the archive when every source is deleted", async () => {
+	const root = tempDir()
+	const recipesDir = path.join(root, "recipes")
+	const outputDir = path.join(root, "output")
+	fs.mkdirSync(recipesDir)
+	const source = path.join(recipesDir, "soup.yml")
+	fs.writeFileSync(source, "name: Soup\ningredients: |\n  1 onion\n")
+	const convert = () =>
+		new RecipeConverter({
+			recipesDir,
+			outputDir,
+			logLevel: "silent",
+			summary: false,
+		}).convertAll()
+
+	await convert()
+	assert.ok(fs.existsSync(path.join(outputDir, "recipes.melarecipes")))
+	fs.unlinkSync(source)
+	assert.deepStrictEqual(await convert(), [])
+	assert.deepStrictEqual(fs.readdirSync(outputDir), [".manifest.json"])
+})
+
+test("a changed source keeps its id when a new source takes the same name", async () => {
+	const root = tempDir()
+	const recipesDir = path.join(root, "recipes")
+	const outputDir = path.join(root, "output")
+	fs.mkdirSync(path.join(recipesDir, "b"), { recursive: true })
+	const write = (file, title) =>
+		fs.writeFileSync(
+			path.join(recipesDir, file),
+			`name: ${title}\ningredients: |\n  200 g pasta\n`
+		)
+	const convert = () =>
+		new RecipeConverter({
+			recipesDir,
+			outputDir,
+			logLevel: "silent",
+			summary: false,
+			archive: false,
+		}).convertAll()
+
+	write("b/pasta.yml", "Pasta")
+	await convert()
+	// a/pasta.yml is written first, but b/pasta.yml already had the id
+	fs.mkdirSync(path.join(recipesDir, "a"))
+	write("a/pasta.yml", "Pesto Pasta")
+	write("b/pasta.yml", "Tomato Pasta")
+	const recipes = await convert()
+	const ids = Object.fromEntries(recipes.map(({ title, id }) => [title, id]))
+	assert.strictEqual(ids["Tomato Pasta"], "pasta")
+	assert.match(ids["Pesto Pasta"], /^pasta-[0-9a-f]{8}$/)
+	assert.strictEqual(
+		JSON.parse(
+			fs.readFileSync(path.join(outputDir, "pasta.melarecipe"), "utf-8")
+		).title,
+		"Tomato Pasta"
+	)
+})
@@ -0,0 +1,81 @@
+const { test, before, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const http = require("http")
+const RecipeConverter = require("../recipe-converter")
+
+const RECIPE_PAGE = `<!DOCTYPE html>
+<html><head><script type="application/ld+json">
+{"@type": "Recipe", "name": "Tomato Soup", "recipeYield": "4",
+ "recipeIngredient": ["1 kg tomatoes", "1 onion"],
+ "recipeInstructions": ["Chop.", "Simmer for 30 minutes."]}
+</script></head><body><h1>Tomato Soup</h1></body></html>`
+
+let server
+let baseUrl
+let outputDir
+const tempDirs = []
+
+before(async () => {
+	server = http.createServer((req, res) => {
+		if (req.url === "/soup") {
+			res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" })
+			res.end(RECIPE_PAGE)
+		} else if (req.url === "/old-soup") {
+			res.writeHead(301, { Location: "/soup" })
+			res.end()
+		} else if (req.url === "/notes.txt") {
+			res.writeHead(200, { "Content-Type": "text/plain" })
+			res.end("not a recipe")
+		} else {
+			res.writeHead(404)
+			res.end()
+		}
+	})
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+	baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => {
+	server.close()
+	tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }))
+})
+
+function converter() {
+	outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "convert-url-"))
+	tempDirs.push(outputDir)
+	return new RecipeConverter({
+		outputDir,
+		logLevel: "silent",
+		imageCache: false,
+		summary: false,
+		downloadRetries: 0,
+	})
+}
+
+test("converts a recipe page and follows redirects", async () => {
+	const recipes = await converter().convertURL([`${baseUrl}/old-soup`])
+	assert.strictEqual(recipes.length, 1)
+	assert.strictEqual(recipes[0].title, "Tomato Soup")
+	assert.strictEqual(recipes[0].link, `${baseUrl}/soup`)
+	assert.ok(fs.existsSync(path.join(outputDir, "soup.melarecipe")))
+})
+
+test("records bad URLs and pages as failed and carries on", async () => {
+	const urlConverter = converter()
+	const recipes = await urlConverter.convertURL([
+		"notaurl",
+		`${baseUrl}/missing`,
+		`${baseUrl}/notes.txt`,
+		`${baseUrl}/soup`,
+	])
+	assert.strictEqual(recipes.length, 1)
+	const failed = urlConverter.lastRun.failedFiles.map(({ source }) => source)
+	assert.deepStrictEqual(failed, [
+		"notaurl",
+		`${baseUrl}/missing`,
+		`${baseUrl}/notes.txt`,
+	])
+})
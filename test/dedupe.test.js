@@ -0,0 +1,45 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { findDuplicates } = require("../lib/dedupe")
+
+function groups(recipes) {
+	const entries = recipes.map((recipe, i) => ({ recipe, source: `${i}` }))
+	return findDuplicates(entries).map((group) =>
+		group.map((entry) => entry.source)
+	)
+}
+
+const author = "https://example.com/about"
+
+test("merges recipes with the same title and ingredients", () => {
+	assert.deepStrictEqual(
+		groups([
+			{ title: "Grandma's Apple Pie!", ingredients: "6 apples\n200 g flour" },
+			{ title: "grandmas apple pie", ingredients: "5 apples\n1 cup flour" },
+		]),
+		[["0", "1"]]
+	)
+})
+
+test("keeps recipes with the same title apart without shared ingredients", () => {
+	assert.deepStrictEqual(
+		groups([
+			{ title: "Pie", ingredients: "6 apples\n200 g flour" },
+			{ title: "Pie", ingredients: "500 g beef\n1 onion" },
+			{ title: "Pie", ingredients: "" },
+		]),
+		[["0"], ["1"], ["2"]]
+	)
+})
+
+test("only merges on a shared link when the title or ingredients agree", () => {
+	assert.deepStrictEqual(
+		groups([
+			{ title: "Apple Pie", link: author, ingredients: "6 apples" },
+			{ title: "Beef Stew", link: author, ingredients: "500 g beef" },
+			{ title: "Apple pie", link: author, ingredients: "" },
+			{ title: "Apple Tart", link: author, ingredients: "4 apples" },
+		]),
+		[["0", "2", "3"], ["1"]]
+	)
+})
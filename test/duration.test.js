@@ -0,0 +1,49 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const {
+	parseDuration,
+	parseISODuration,
+	formatMinutesToHM,
+} = require("../lib/duration")
+
+test("parses ISO 8601 durations", () => {
+	assert.strictEqual(parseDuration("PT1H30M"), 90)
+	assert.strictEqual(parseDuration("PT0.5H"), 30)
+	assert.strictEqual(parseDuration("P1DT2H"), 26 * 60)
+	assert.strictEqual(parseDuration("pt45m"), 45)
+	assert.strictEqual(parseISODuration("PT"), null)
+	assert.strictEqual(parseISODuration("1 hour"), null)
+})
+
+test("parses durations written as text", () => {
+	assert.strictEqual(parseDuration("1 hour 30 minutes"), 90)
+	assert.strictEqual(parseDuration("1 hr 30"), 90)
+	assert.strictEqual(parseDuration("1h30"), 90)
+	assert.strictEqual(parseDuration("1½ hrs"), 90)
+	assert.strictEqual(parseDuration("1 1/2 hours"), 90)
+	assert.strictEqual(parseDuration("10-15 mins"), 15)
+	assert.strictEqual(parseDuration("1:30"), 90)
+	assert.strictEqual(parseDuration("90"), 90)
+	assert.strictEqual(parseDuration(45), 45)
+})
+
+test("parses durations in words", () => {
+	assert.strictEqual(parseDuration("an hour and a half"), 90)
+	assert.strictEqual(parseDuration("one and a half hours"), 90)
+	assert.strictEqual(parseDuration("2 hours and a half"), 150)
+	assert.strictEqual(parseDuration("half an hour"), 30)
+	assert.strictEqual(parseDuration("an hour"), 60)
+})
+
+test("returns 0 for unknown durations", () => {
+	assert.strictEqual(parseDuration(""), 0)
+	assert.strictEqual(parseDuration(null), 0)
+	assert.strictEqual(parseDuration("overnight"), 0)
+})
+
+test("formats minutes as hours and minutes", () => {
+	assert.strictEqual(formatMinutesToHM(45), "45m")
+	assert.strictEqual(formatMinutesToHM(60), "1h")
+	assert.strictEqual(formatMinutesToHM(90), "1h 30m")
+	assert.strictEqual(formatMinutesToHM(0), "")
+})
@@ -0,0 +1,129 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { JSDOM } = require("jsdom")
+const { extractHeuristicRecipe } = require("../lib/heuristics")
+const { fromHTML } = require("../recipe-converter")
+const { validateRecipe } = require("../lib/validator")
+
+const extract = (html) =>
+	extractHeuristicRecipe(new JSDOM(html).window.document)
+
+const PAGE = `<html><head><title>Lemon Cake | My Blog</title>
+<meta property="og:title" content="Lemon Cake - My Blog">
+<meta name="description" content="A bright cake.">
+</head><body>
+<nav><ul><li>Home</li><li>About</li></ul></nav>
+<article>
+  <h1>Lemon Cake</h1>
+  <p>Serves 8. Prep time: 20 minutes. Baking time: 45 minutes.</p>
+  <h2>Ingredients</h2>
+  <ul><li>200 g flour</li><li>2 eggs</li><li>1 lemon, zested</li></ul>
+  <h2>Method</h2>
+  <ol>
+    <li>Heat the oven to 180C and line a tin.</li>
+    <li>Beat everything together until smooth.</li>
+    <li>Bake for 45 minutes until golden.</li>
+  </ol>
+</article>
+<footer><ul><li>1 comment</li><li>2 shares</li></ul></footer>
+</body></html>`
+
+test("pieces a recipe together from a page without structured data", async () => {
+	const recipe = await fromHTML(PAGE, { processImages: false })
+	assert.strictEqual(recipe.title, "Lemon Cake")
+	assert.strictEqual(recipe.text, "A bright cake.")
+	assert.strictEqual(recipe.yield, "8")
+	assert.strictEqual(recipe.prepTime, "20m")
+	assert.strictEqual(recipe.cookTime, "45m")
+	assert.strictEqual(recipe.ingredients, "200 g flour\n2 eggs\n1 lemon, zested")
+	assert.strictEqual(
+		recipe.instructions,
+		"Heat the oven to 180C and line a tin.\n\n" +
+			"Beat everything together until smooth.\n\n" +
+			"Bake for 45 minutes until golden."
+	)
+	assert.deepStrictEqual(recipe.confidence, {
+		title: 0.95,
+		text: 0.6,
+		ingredients: 0.85,
+		instructions: 0.85,
+		yield: 0.6,
+		prepTime: 0.6,
+		cookTime: 0.6,
+	})
+})
+
+test("stops a section at the next heading, even when it is wrapped", () => {
+	const { recipe } = extract(`<body><main><h1>Scones</h1>
+<div><h2>Ingredients</h2></div>
+<h3>For the dough</h3><ul><li>250 g flour</li><li>50 g butter</li></ul>
+<h3>To serve</h3><ul><li>jam</li></ul>
+<div><h2>Method</h2></div>
+<ol>
+  <li>Rub the butter into the flour until it looks like crumbs.</li>
+  <li>Bake at 220C for 12 minutes until risen.</li>
+</ol></main></body>`)
+	assert.deepStrictEqual(recipe.recipeIngredient, [
+		"# For the dough",
+		"250 g flour",
+		"50 g butter",
+		"# To serve",
+		"jam",
+	])
+	assert.deepStrictEqual(recipe.recipeInstructions, [
+		"Rub the butter into the flour until it looks like crumbs.",
+		"Bake at 220C for 12 minutes until risen.",
+	])
+})
+
+test("falls back to class names, then to lists that look like a recipe", () => {
+	const byClass = extract(`<body><main>
+<div class="recipe-ingredients"><p>2 cups rice</p><p>3 cups water</p></div>
+<div class="recipe-directions">
+  <p>Rinse the rice well under cold running water.</p>
+  <p>Simmer covered for 15 minutes, then rest.</p>
+</div></main></body>`)
+	assert.deepStrictEqual(byClass.recipe.recipeIngredient, [
+		"2 cups rice",
+		"3 cups water",
+	])
+	assert.strictEqual(byClass.confidence.ingredients, 0.7)
+
+	// Lists in the sidebar are ignored
+	const byShape = extract(`<body>
+<aside><ul><li>2 posts</li><li>3 links</li></ul></aside>
+<div><ul><li>1 cup rice</li><li>2 cups water</li></ul>
+<ol>
+  <li>Rinse the rice well under cold running water.</li>
+  <li>Simmer covered for 15 minutes, then rest.</li>
+</ol></div></body>`)
+	assert.deepStrictEqual(byShape.recipe.recipeIngredient, [
+		"1 cup rice",
+		"2 cups water",
+	])
+	assert.strictEqual(byShape.recipe.recipeInstructions.length, 2)
+	assert.deepStrictEqual(byShape.confidence, {
+		ingredients: 0.45,
+		instructions: 0.45,
+	})
+})
+
+test("takes the title from <title> last and flags unsure fields for review", () => {
+	const { recipe, confidence } = extract(
+		"<title>Scones | Bake Off</title><body><p>Nothing here</p></body>"
+	)
+	assert.deepStrictEqual(recipe, { "@type": "Recipe", name: "Scones" })
+	assert.deepStrictEqual(confidence, { title: 0.4 })
+
+	const { issues } = validateRecipe({
+		id: "scones",
+		title: "Scones",
+		confidence: { title: 0.4 },
+	})
+	assert.ok(
+		issues.some(
+			({ field, level, message }) =>
+				field === "title" && level === "warning" && /review/.test(message)
+		)
+	)
+})
@@ -0,0 +1,115 @@
+const { test, before, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const http = require("http")
+const Jimp = require("jimp")
+const RecipeConverter = require("../recipe-converter")
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "image-cache-"))
+let server
+let imageUrl
+let png
+const requests = []
+
+before(async () => {
+	png = await new Jimp(2, 2, 0x0000ffff).getBufferAsync(Jimp.MIME_PNG)
+	server = http.createServer((req, res) => {
+		requests.push(req.headers)
+		if (req.headers["if-none-match"] === '"v1"') {
+			res.writeHead(304)
+			res.end()
+			return
+		}
+		res.writeHead(200, { "Content-Type": "image/png", ETag: '"v1"' })
+		res.end(png)
+	})
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+	imageUrl = `http://127.0.0.1:${server.address().port}/soup.png`
+})
+
+after(() => {
+	server.close()
+	fs.rmSync(root, { recursive: true, force: true })
+})
+
+let dirs = 0
+function converter(options = {}) {
+	return new RecipeConverter({
+		imageCacheDir: path.join(root, `cache-${dirs}`),
+		outputDir: path.join(root, "output"),
+		logLevel: "silent",
+		downloadRetries: 0,
+		...options,
+	})
+}
+
+const dataUrl = () => `data:image/png;base64,${png.toString("base64")}`
+
+test("serves fresh images from the cache without a request", async () => {
+	dirs++
+	requests.length = 0
+	assert.strictEqual(
+		await converter().downloadImageAsBase64(imageUrl),
+		dataUrl()
+	)
+	assert.strictEqual(
+		await converter().downloadImageAsBase64(imageUrl),
+		dataUrl()
+	)
+	assert.strictEqual(requests.length, 1)
+})
+
+test("revalidates old entries with the ETag", async () => {
+	dirs++
+	requests.length = 0
+	await converter().downloadImageAsBase64(imageUrl)
+	const image = await converter({ imageCacheMaxAge: 0 }).downloadImageAsBase64(
+		imageUrl
+	)
+	assert.strictEqual(image, dataUrl())
+	assert.strictEqual(requests.length, 2)
+	assert.strictEqual(requests[1]["if-none-match"], '"v1"')
+})
+
+test("downloads again when a revalidated entry is gone", async () => {
+	dirs++
+	requests.length = 0
+	await converter().downloadImageAsBase64(imageUrl)
+	const revalidating = converter({ imageCacheMaxAge: 0 })
+	revalidating.imageCache.touch = () => null
+	assert.strictEqual(
+		await revalidating.downloadImageAsBase64(imageUrl),
+		dataUrl()
+	)
+	assert.strictEqual(requests.length, 3)
+	assert.strictEqual(requests[2]["if-none-match"], undefined)
+})
+
+test("only uses cached images offline", async () => {
+	dirs++
+	requests.length = 0
+	assert.strictEqual(
+		await converter({ offline: true }).downloadImageAsBase64(imageUrl),
+		null
+	)
+	await converter().downloadImageAsBase64(imageUrl)
+	assert.strictEqual(
+		await converter({
+			offline: true,
+			imageCacheMaxAge: 0,
+		}).downloadImageAsBase64(imageUrl),
+		dataUrl()
+	)
+	assert.strictEqual(requests.length, 1)
+})
+
+test("doesn't write the cache in a dry run", async () => {
+	dirs++
+	const image = await converter({ dryRun: true }).downloadImageAsBase64(
+		imageUrl
+	)
+	assert.strictEqual(image, dataUrl())
+	assert.ok(!fs.existsSync(path.join(root, `cache-${dirs}`)))
+})
@@ -0,0 +1,34 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const Jimp = require("jimp")
+const { processImages } = require("../lib/image-processor")
+
+// A gradient as a PNG data URI, size pixels square
+async function gradient(size) {
+	const image = new Jimp(size, size)
+	image.scan(0, 0, size, size, (x, y, idx) => {
+		image.bitmap.data[idx] = Math.round((x / size) * 255)
+		image.bitmap.data[idx + 1] = Math.round((y / size) * 255)
+		image.bitmap.data[idx + 2] = 128
+		image.bitmap.data[idx + 3] = 255
+	})
+	return image.getBase64Async(Jimp.MIME_PNG)
+}
+
+test("drops exact copies but keeps similar images by default", async () => {
+	const large = await gradient(200)
+	const small = await gradient(150)
+	const { images, dropped } = await processImages([large, large, small])
+	assert.strictEqual(images.length, 2)
+	assert.deepStrictEqual(dropped, [{ index: 1, reason: "duplicate" }])
+})
+
+test("drops near duplicates under duplicateThreshold", async () => {
+	const large = await gradient(200)
+	const small = await gradient(150)
+	const { images, dropped } = await processImages([large, small], {
+		duplicateThreshold: 0.1,
+	})
+	assert.strictEqual(images.length, 1)
+	assert.deepStrictEqual(dropped, [{ index: 1, reason: "duplicate" }])
+})
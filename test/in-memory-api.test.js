@@ -0,0 +1,106 @@
+const { test, before, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const AdmZip = require("adm-zip")
+const {
+	fromHTML,
+	fromYAML,
+	toMelaJSON,
+	toMelaRecipesBuffer,
+} = require("../recipe-converter")
+
+const HTML = `<!DOCTYPE html>
+<html><head><script type="application/ld+json">
+{"@type": "Recipe", "name": "Tomato Soup", "recipeYield": "4",
+ "prepTime": "PT10M", "cookTime": "PT30M",
+ "recipeCategory": "Soup",
+ "recipeIngredient": ["1 kg tomatoes", "1 onion"],
+ "recipeInstructions": ["Chop.", "Simmer for 30 minutes."]}
+</script></head><body><h1>Tomato Soup</h1></body></html>`
+
+const YML = `name: Pancakes
+servings: 4
+tags:
+  - breakfast
+ingredients: |
+  200 g flour
+  2 eggs
+directions: |
+  Whisk.
+  Fry.
+favorite: "yes"
+`
+
+// Run in an empty folder to check that nothing is written
+const cwd = process.cwd()
+let dir
+
+before(() => {
+	dir = fs.mkdtempSync(path.join(os.tmpdir(), "in-memory-api-"))
+	process.chdir(dir)
+})
+
+after(() => {
+	process.chdir(cwd)
+	fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test("fromHTML parses a recipe page", async () => {
+	const recipe = await fromHTML(HTML, {
+		baseUrl: "https://example.com/recipes/soup",
+	})
+	assert.strictEqual(recipe.title, "Tomato Soup")
+	assert.strictEqual(recipe.ingredients, "1 kg tomatoes\n1 onion")
+	assert.strictEqual(recipe.instructions, "Chop.\n\nSimmer for 30 minutes.")
+	assert.strictEqual(recipe.yield, "4")
+	assert.deepStrictEqual(recipe.categories, ["Soup"])
+	assert.deepStrictEqual(fs.readdirSync(dir), [])
+})
+
+test("fromYAML parses a Cookbook YML recipe", async () => {
+	const recipe = await fromYAML(YML, { id: "pancakes" })
+	assert.strictEqual(recipe.id, "pancakes")
+	assert.strictEqual(recipe.title, "Pancakes")
+	assert.strictEqual(recipe.ingredients, "200 g flour\n2 eggs")
+	assert.strictEqual(recipe.instructions, "Whisk.\n\nFry.")
+	assert.strictEqual(recipe.favorite, true)
+	assert.deepStrictEqual(fs.readdirSync(dir), [])
+})
+
+test("fromYAML keeps notes out of the description", async () => {
+	const recipe = await fromYAML(`${YML}notes: Keeps for 3 days.\n`)
+	assert.strictEqual(recipe.text, "")
+	assert.strictEqual(recipe.notes, "Keeps for 3 days.")
+	const described = await fromYAML(`${YML}description: Fluffy.\n`)
+	assert.strictEqual(described.text, "Fluffy.")
+})
+
+test("fromYAML throws when the text isn't a recipe", async () => {
+	await assert.rejects(fromYAML("- just\n- a list\n"), /not a Cookbook YML/)
+})
+
+test("toMelaJSON validates the recipe and gives it an id", async () => {
+	const recipe = await fromHTML(HTML)
+	const mela = JSON.parse(toMelaJSON({ ...recipe, id: "", favorite: "yes" }))
+	assert.match(mela.id, /^[0-9a-f-]{36}$/)
+	assert.strictEqual(mela.title, "Tomato Soup")
+	assert.strictEqual(mela.favorite, true)
+	assert.strictEqual(typeof mela.date, "number")
+})
+
+test("toMelaRecipesBuffer zips every recipe under its own name", async () => {
+	const soup = await fromHTML(HTML, { id: "soup" })
+	const pancakes = await fromYAML(YML, { id: "soup" })
+	const zip = new AdmZip(await toMelaRecipesBuffer([soup, pancakes]))
+	const entries = zip.getEntries().map((entry) => entry.entryName)
+	assert.deepStrictEqual(entries.sort(), [
+		"soup-2.melarecipe",
+		"soup.melarecipe",
+	])
+	const titles = zip
+		.getEntries()
+		.map((entry) => JSON.parse(entry.getData().toString("utf-8")).title)
+	assert.deepStrictEqual(titles.sort(), ["Pancakes", "Tomato Soup"])
+})
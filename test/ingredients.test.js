@@ -0,0 +1,60 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const {
+	normalizeUnit,
+	isSectionHeader,
+	parseIngredientLine,
+	parseIngredients,
+	formatIngredientHeadings,
+} = require("../lib/ingredients")
+
+test("splits a line into quantity, unit, item and preparation", () => {
+	const line = parseIngredientLine("2-3 cloves garlic, minced")
+	assert.strictEqual(line.quantity, 2)
+	assert.strictEqual(line.quantityMax, 3)
+	assert.strictEqual(line.unit, "clove")
+	assert.strictEqual(line.unitText, "cloves")
+	assert.strictEqual(line.item, "garlic")
+	assert.strictEqual(line.preparation, "minced")
+})
+
+test("reads fractions, package sizes and lines without an amount", () => {
+	assert.strictEqual(parseIngredientLine("1 1/2 cups flour").quantity, 1.5)
+	assert.strictEqual(parseIngredientLine("½ tsp salt").quantity, 0.5)
+	const can = parseIngredientLine("1 (400 g) can tomatoes")
+	assert.strictEqual(can.size, "400 g")
+	assert.strictEqual(can.unit, "can")
+	assert.strictEqual(can.item, "tomatoes")
+	const pinch = parseIngredientLine("pinch of salt")
+	assert.strictEqual(pinch.quantity, null)
+	assert.strictEqual(pinch.unit, "pinch")
+	assert.strictEqual(pinch.item, "salt")
+	// Without an amount only words like "pinch" are units
+	assert.strictEqual(parseIngredientLine("cup cakes").unit, null)
+})
+
+test("normalizes unit spellings", () => {
+	assert.strictEqual(normalizeUnit("Tbsp."), "tablespoon")
+	assert.strictEqual(normalizeUnit("T"), "tablespoon")
+	assert.strictEqual(normalizeUnit("t"), "teaspoon")
+	assert.strictEqual(normalizeUnit("grammes"), "gram")
+	assert.strictEqual(normalizeUnit("handfuls"), "handful")
+	assert.strictEqual(normalizeUnit("large"), null)
+})
+
+test("recognises section headings", () => {
+	assert.ok(isSectionHeader("For the sauce:"))
+	assert.ok(isSectionHeader("Topping:"))
+	assert.ok(isSectionHeader("For the icing"))
+	assert.ok(isSectionHeader("# Filling"))
+	assert.ok(!isSectionHeader("2 cups flour:"))
+	assert.ok(!isSectionHeader("Salt to taste"))
+	assert.deepStrictEqual(parseIngredients("For the sauce:\n1 onion")[0], {
+		type: "heading",
+		text: "For the sauce",
+	})
+	assert.deepStrictEqual(
+		formatIngredientHeadings(["Topping:", "1 cup cream", "For the base"]),
+		["# Topping", "1 cup cream", "# For the base"]
+	)
+})
@@ -0,0 +1,84 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { JSDOM } = require("jsdom")
+const { fromHTML } = require("../recipe-converter")
+const { findRecipeNode } = require("../lib/json-ld")
+
+function page(...scripts) {
+	return `<!DOCTYPE html><html><head>${scripts
+		.map(
+			(data) =>
+				`<script type="application/ld+json">${JSON.stringify(data)}</script>`
+		)
+		.join("\n")}</head><body></body></html>`
+}
+
+const ORGANIZATION = {
+	"@context": "https://schema.org",
+	"@type": "Organization",
+	name: "Food Site",
+}
+
+const GRAPH = {
+	"@context": "https://schema.org",
+	"@graph": [
+		{ "@type": "WebSite", "@id": "#site", name: "Food Site" },
+		{
+			"@type": "Person",
+			"@id": "#jane",
+			name: "Jane",
+			url: "https://jane.example",
+		},
+		{
+			"@type": ["Recipe", "NewsArticle"],
+			name: "Layer Cake",
+			author: { "@id": "#jane" },
+			recipeYield: ["8"],
+			keywords: ["cake", "baking"],
+			recipeIngredient: ["200 g flour", "4 eggs"],
+			recipeInstructions: [
+				{
+					"@type": "HowToSection",
+					name: "For the cake",
+					itemListElement: [
+						{ "@type": "HowToStep", text: "Mix." },
+						{ "@type": "HowToStep", text: "Bake." },
+					],
+				},
+				{
+					"@type": "HowToSection",
+					name: "For the icing",
+					itemListElement: [{ "@type": "HowToStep", text: "Whip." }],
+				},
+			],
+		},
+	],
+}
+
+test("finds the recipe in a @graph after other scripts", async () => {
+	const recipe = await fromHTML(page(ORGANIZATION, GRAPH))
+	assert.strictEqual(recipe.title, "Layer Cake")
+	assert.strictEqual(recipe.ingredients, "200 g flour\n4 eggs")
+	assert.strictEqual(recipe.yield, "8")
+	assert.strictEqual(recipe.link, "https://jane.example")
+})
+
+test("flattens HowToSection instructions into Mela section headings", async () => {
+	const recipe = await fromHTML(page(GRAPH))
+	assert.strictEqual(
+		recipe.instructions,
+		"# For the cake\n\nMix.\n\nBake.\n\n# For the icing\n\nWhip."
+	)
+})
+
+test("skips scripts that aren't valid JSON", () => {
+	const html = `<script type="application/ld+json">{ not json</script>${page(
+		GRAPH
+	)}`
+	const errors = []
+	const node = findRecipeNode(new JSDOM(html).window.document, (error) =>
+		errors.push(error)
+	)
+	assert.strictEqual(node.name, "Layer Cake")
+	assert.strictEqual(errors.length, 1)
+})
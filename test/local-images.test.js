@@ -0,0 +1,78 @@
+const { test, before, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { pathToFileURL } = require("url")
+const Jimp = require("jimp")
+const RecipeConverter = require("../recipe-converter")
+const { parseDataURI } = require("../lib/image-source")
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "local-images-"))
+const recipesDir = path.join(root, "recipes")
+let png
+
+function recipePage(images) {
+	return `<!DOCTYPE html><html><head><script type="application/ld+json">
+${JSON.stringify({
+	"@type": "Recipe",
+	name: "Soup",
+	image: images,
+	recipeIngredient: ["1 onion"],
+})}
+</script></head><body></body></html>`
+}
+
+before(async () => {
+	png = await new Jimp(2, 2, 0x00ff00ff).getBufferAsync(Jimp.MIME_PNG)
+	fs.mkdirSync(path.join(recipesDir, "HTML"), { recursive: true })
+	fs.mkdirSync(path.join(recipesDir, "images"))
+	fs.writeFileSync(path.join(recipesDir, "HTML", "beside.png"), png)
+	fs.writeFileSync(path.join(recipesDir, "images", "exported.png"), png)
+	fs.writeFileSync(path.join(root, "absolute.png"), png)
+	fs.writeFileSync(
+		path.join(recipesDir, "HTML", "soup.html"),
+		recipePage([
+			"beside.png",
+			"exported.png",
+			pathToFileURL(path.join(root, "absolute.png")).href,
+			`data:image/png;base64,${png.toString("base64")}`,
+			"missing.jpg",
+		])
+	)
+})
+
+after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+test("reads relative, Cookbook export, file: and data: images", async () => {
+	const converter = new RecipeConverter({
+		recipesDir,
+		outputDir: path.join(root, "output"),
+		logLevel: "silent",
+		summary: false,
+		imageCache: false,
+		processImages: false,
+	})
+	const failed = []
+	converter.on("image:failed", ({ image }) => failed.push(image))
+	const [recipe] = await converter.convertAll()
+
+	assert.strictEqual(recipe.images.length, 4)
+	recipe.images.forEach((image) => {
+		const decoded = parseDataURI(`data:image/png;base64,${image}`)
+		assert.ok(decoded.buffer.equals(png))
+	})
+	assert.deepStrictEqual(failed, ["missing.jpg"])
+	assert.deepStrictEqual(
+		converter.lastRun.missingImages.map(({ file, image }) => ({ file, image })),
+		[{ file: path.join(recipesDir, "HTML", "soup.html"), image: "missing.jpg" }]
+	)
+})
+
+test("sniffs the type of data URIs", () => {
+	const decoded = parseDataURI(
+		`data:image/jpeg;base64,${png.toString("base64")}`
+	)
+	assert.strictEqual(decoded.mimeType, "image/png")
+	assert.strictEqual(parseDataURI("data:text/plain,hello"), null)
+})
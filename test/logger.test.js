@@ -0,0 +1,110 @@
+const { test, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { createLogger } = require("../lib/logger")
+const RecipeConverter = require("../recipe-converter")
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "logger-"))
+
+after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+// A stream that keeps what is written to it
+function stream() {
+	const out = { text: "", write: (chunk) => (out.text += chunk) }
+	return out
+}
+
+test("only writes messages at or above the level", () => {
+	const stdout = stream()
+	const stderr = stream()
+	const logger = createLogger({ level: "warn", stdout, stderr })
+	logger.error("broken", new Error("badly"))
+	logger.warn("careful", { file: "soup.yml" })
+	logger.info("converted")
+	logger.debug("details")
+	assert.strictEqual(logger.level, "warn")
+	assert.strictEqual(stderr.text, 'broken badly\ncareful {"file":"soup.yml"}\n')
+	assert.strictEqual(stdout.text, "")
+})
+
+test("silent writes nothing and an unknown level falls back to info", () => {
+	const stdout = stream()
+	const stderr = stream()
+	const silent = createLogger({ level: "silent", stdout, stderr })
+	silent.error("broken")
+	silent.info("converted")
+	assert.strictEqual(stderr.text + stdout.text, "")
+
+	const logger = createLogger({ level: "loud", stdout, stderr })
+	logger.info("converted")
+	logger.debug("details")
+	assert.strictEqual(logger.level, "info")
+	assert.strictEqual(stdout.text, "converted\n")
+})
+
+test("only shows progress on a terminal and clears it before messages", () => {
+	const stdout = stream()
+	const stderr = stream()
+	createLogger({ stdout, stderr }).progress(1, 2, "soup.yml")
+	assert.strictEqual(stderr.text, "")
+
+	stderr.isTTY = true
+	const logger = createLogger({ stdout, stderr })
+	logger.progress(1, 2, "soup.yml")
+	logger.warn("careful")
+	assert.strictEqual(stderr.text, "\r\x1b[K[1/2] soup.yml\r\x1b[Kcareful\n")
+})
+
+test("emits an event for each converted and failed file, missing image and run", async () => {
+	const recipesDir = path.join(root, "recipes")
+	fs.mkdirSync(recipesDir)
+	fs.writeFileSync(
+		path.join(recipesDir, "soup.yml"),
+		"name: Soup\nimage: missing.jpg\ningredients: |\n  1 onion\n"
+	)
+	fs.writeFileSync(path.join(recipesDir, "broken.yml"), "name: [unclosed\n")
+	const converter = new RecipeConverter({
+		recipesDir,
+		outputDir: path.join(root, "output"),
+		logLevel: "silent",
+		summary: false,
+		imageCache: false,
+	})
+	const events = []
+	for (const name of [
+		"recipe:converted",
+		"recipe:failed",
+		"image:failed",
+		"run:finished",
+	]) {
+		converter.on(name, (data) => events.push({ name, data }))
+	}
+	await converter.convertAll()
+
+	const soup = path.join(recipesDir, "soup.yml")
+	const broken = path.join(recipesDir, "broken.yml")
+	assert.deepStrictEqual(
+		events.map(({ name }) => name),
+		["recipe:failed", "image:failed", "recipe:converted", "run:finished"]
+	)
+	const [failed, image, converted, finished] = events.map(({ data }) => data)
+	assert.strictEqual(failed.source, broken)
+	assert.deepStrictEqual(image, {
+		source: soup,
+		file: soup,
+		image: "missing.jpg",
+	})
+	assert.strictEqual(converted.source, soup)
+	assert.strictEqual(converted.recipe.title, "Soup")
+	assert.strictEqual(
+		converted.outputPath,
+		path.join(root, "output", "soup.melarecipe")
+	)
+	assert.deepStrictEqual(finished.totals, { failed: 1, converted: 1 })
+	assert.deepStrictEqual(
+		finished.files.find(({ source }) => source === soup).warnings,
+		["image not found: missing.jpg"]
+	)
+})
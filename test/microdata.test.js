@@ -0,0 +1,96 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { JSDOM } = require("jsdom")
+const { findMicrodataRecipe, findRDFaRecipe } = require("../lib/microdata")
+const { fromHTML } = require("../recipe-converter")
+
+const documentOf = (html) => new JSDOM(html).window.document
+
+const ORGANIZATION = `<header itemscope itemtype="https://schema.org/Organization">
+  <span itemprop="name">Example Kitchen</span>
+  <img itemprop="logo" src="data:image/png;base64,TE9HTw==">
+  <a itemprop="url" href="https://example.com/">Home</a>
+</header>`
+
+const MICRODATA = `<html><body>${ORGANIZATION}
+<article itemscope itemtype="https://schema.org/Recipe">
+  <h1 itemprop="name">Tomato Soup</h1>
+  <img itemprop="image" src="data:image/png;base64,U09VUA==">
+  <div itemprop="author" itemscope itemtype="https://schema.org/Person">
+    <span itemprop="name">Ada</span>
+  </div>
+  <time itemprop="prepTime" datetime="PT10M">10 minutes</time>
+  <span itemprop="recipeYield">4</span>
+  <ul>
+    <li itemprop="recipeIngredient">1 kg tomatoes</li>
+    <li itemprop="recipeIngredient">1 onion</li>
+  </ul>
+  <ol itemprop="recipeInstructions"><li>Chop.</li><li>Simmer.</li></ol>
+</article></body></html>`
+
+test("reads only the properties inside the Recipe item", () => {
+	const recipe = findMicrodataRecipe(documentOf(MICRODATA))
+	assert.deepStrictEqual(recipe, {
+		"@type": "Recipe",
+		name: "Tomato Soup",
+		image: "data:image/png;base64,U09VUA==",
+		author: { "@type": "Person", name: "Ada" },
+		prepTime: "PT10M",
+		recipeYield: "4",
+		recipeIngredient: ["1 kg tomatoes", "1 onion"],
+		recipeInstructions: ["Chop.", "Simmer."],
+	})
+})
+
+test("a page's Organization name and logo don't leak into the recipe", async () => {
+	const recipe = await fromHTML(MICRODATA, { processImages: false })
+	assert.strictEqual(recipe.title, "Tomato Soup")
+	assert.deepStrictEqual(recipe.images, ["U09VUA=="])
+	assert.strictEqual(recipe.link, "Ada")
+	assert.strictEqual(recipe.prepTime, "10m")
+	assert.strictEqual(recipe.instructions, "Chop.\n\nSimmer.")
+})
+
+test("follows itemref and finds an untyped item with ingredients", () => {
+	const recipe = findMicrodataRecipe(
+		documentOf(`<div itemscope itemref="extra">
+  <span itemprop="name">Pancakes</span>
+  <span itemprop="ingredients">2 eggs</span>
+</div>
+<p id="extra"><span itemprop="recipeYield">8</span></p>`)
+	)
+	assert.deepStrictEqual(recipe, {
+		"@type": "Recipe",
+		name: "Pancakes",
+		ingredients: "2 eggs",
+		recipeYield: "8",
+	})
+	assert.strictEqual(findMicrodataRecipe(documentOf("<p>No recipe</p>")), null)
+})
+
+test("reads RDFa Lite and keeps a nested publisher apart", () => {
+	const recipe = findRDFaRecipe(
+		documentOf(`<body vocab="https://schema.org/">
+<div typeof="Organization"><span property="name">Example Kitchen</span></div>
+<div typeof="Recipe">
+  <span property="name">Pesto</span>
+  <div property="publisher" typeof="Organization">
+    <span property="name">Example Kitchen</span>
+    <img property="logo" src="logo.png">
+  </div>
+  <meta property="cookTime" content="PT5M">
+  <span property="recipeIngredient">50 g basil</span>
+</div></body>`)
+	)
+	assert.deepStrictEqual(recipe, {
+		"@type": "Recipe",
+		name: "Pesto",
+		publisher: {
+			"@type": "Organization",
+			name: "Example Kitchen",
+			logo: "logo.png",
+		},
+		cookTime: "PT5M",
+		recipeIngredient: "50 g basil",
+	})
+})
@@ -0,0 +1,79 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const {
+	parseNutrition,
+	perServing,
+	normalizeNutrition,
+} = require("../lib/nutrition")
+const RecipeConverter = require("../recipe-converter")
+
+test("writes known nutrients in a fixed order and in kcal, g and mg", () => {
+	assert.strictEqual(
+		normalizeNutrition(
+			"Sodium 0.5 g, Energy 1046 kJ; Fat 12g (18% DV)\nCholesterol 30mg"
+		),
+		"Calories: 250 kcal\nFat: 12 g\nSodium: 500 mg\nCholesterol 30mg"
+	)
+	assert.strictEqual(
+		normalizeNutrition("12g protein\n250 kcal\nLow fat"),
+		"Calories: 250 kcal\nProtein: 12 g\nLow fat"
+	)
+})
+
+test("reads schema.org NutritionInformation", () => {
+	assert.strictEqual(
+		normalizeNutrition({
+			"@type": "NutritionInformation",
+			servingSize: "1 slice",
+			calories: "250 calories",
+			saturatedFatContent: "<1 g",
+			fatContent: "12 g",
+			sodiumContent: "500 mg",
+		}),
+		"Serving size: 1 slice\nCalories: 250 kcal\nFat: 12 g\nSodium: 500 mg\nSaturated fat: <1 g"
+	)
+	assert.strictEqual(normalizeNutrition(null), "")
+})
+
+test("divides totals for the whole recipe per serving", () => {
+	const totals = parseNutrition("Calories 2000, Fat 80 g, Salt: a pinch")
+	assert.deepStrictEqual(perServing(totals, 8), {
+		servingSize: "1/8 of the recipe",
+		nutrients: {
+			calories: { value: 250, unit: "kcal" },
+			fat: { value: 10, unit: "g" },
+		},
+		other: ["Salt: a pinch"],
+	})
+	assert.strictEqual(
+		normalizeNutrition("Protein 5 g", { servings: 3 }),
+		"Serving size: 1/3 of the recipe\nProtein: 1.7 g"
+	)
+})
+
+test("nutritionPerServing divides by the yield or warns when it has no number", () => {
+	const converter = new RecipeConverter({
+		logLevel: "silent",
+		nutritionPerServing: true,
+	})
+	assert.strictEqual(
+		converter.normalizeNutrition({
+			title: "Cake",
+			yield: "Serves 8",
+			nutrition: "Calories 2000",
+		}),
+		"Serving size: 1/8 of the recipe\nCalories: 250 kcal"
+	)
+	assert.strictEqual(
+		converter.normalizeNutrition({
+			title: "Stock",
+			yield: "A big pot",
+			nutrition: "Calories 2000",
+		}),
+		"Calories: 2000 kcal"
+	)
+	assert.deepStrictEqual(
+		converter.measurementWarnings.map(({ source, reason }) => [source, reason]),
+		[["Stock", "no serving count to divide by"]]
+	)
+})
@@ -0,0 +1,75 @@
+const { test, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const zlib = require("zlib")
+const AdmZip = require("adm-zip")
+const Jimp = require("jimp")
+const RecipeConverter = require("../recipe-converter")
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "paprika-import-"))
+
+after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+const SOUP = {
+	uid: "A1",
+	name: "Tomato Soup",
+	ingredients: "1 kg tomatoes\n1 onion",
+	directions: "Chop.\nSimmer.",
+	servings: "4",
+	prep_time: "10 min",
+	cook_time: "1 hr",
+	categories: ["Soup", "Vegetarian"],
+	on_favorites: 1,
+	source_url: "https://example.com/soup",
+	created: "2023-04-01 18:30:00",
+}
+
+const BREAD = { uid: "B2", name: "Bread", ingredients: "500 g flour" }
+
+function converter() {
+	return new RecipeConverter({
+		outputDir: path.join(root, "output"),
+		logLevel: "silent",
+		summary: false,
+		imageCache: false,
+		processImages: false,
+	})
+}
+
+test("converts every recipe in a .paprikarecipes export", async () => {
+	const image = await new Jimp(2, 2, 0xff0000ff).getBufferAsync(Jimp.MIME_PNG)
+	const zip = new AdmZip()
+	zip.addFile(
+		"Tomato Soup.paprikarecipe",
+		zlib.gzipSync(
+			JSON.stringify({ ...SOUP, photo_data: image.toString("base64") })
+		)
+	)
+	zip.addFile("Bread.paprikarecipe", zlib.gzipSync(JSON.stringify(BREAD)))
+	const archivePath = path.join(root, "export.paprikarecipes")
+	zip.writeZip(archivePath)
+
+	const recipes = await converter().convertPaprikaArchive([archivePath])
+	const soup = recipes.find(({ title }) => title === "Tomato Soup")
+	assert.strictEqual(recipes.length, 2)
+	assert.strictEqual(soup.ingredients, "1 kg tomatoes\n1 onion")
+	assert.strictEqual(soup.yield, "4")
+	assert.strictEqual(soup.prepTime, "10m")
+	assert.strictEqual(soup.cookTime, "1h")
+	assert.deepStrictEqual(soup.categories, ["Soup", "Vegetarian"])
+	assert.strictEqual(soup.favorite, true)
+	assert.strictEqual(soup.link, "https://example.com/soup")
+	assert.strictEqual(soup.date, Date.parse("2023-04-01T18:30:00") / 1000)
+	assert.strictEqual(soup.images.length, 1)
+})
+
+test("records a missing Paprika file as failed", async () => {
+	const paprika = converter()
+	const missing = path.join(root, "missing.paprikarecipes")
+	assert.deepStrictEqual(await paprika.convertPaprikaArchive([missing]), [])
+	assert.deepStrictEqual(paprika.lastRun.failedFiles, [
+		{ source: missing, error: "file not found" },
+	])
+})
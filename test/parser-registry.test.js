@@ -0,0 +1,74 @@
+const { test, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const ParserRegistry = require("../lib/parser-registry")
+const RecipeConverter = require("../recipe-converter")
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "parser-registry-"))
+
+after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+function write(relativePath, content) {
+	const filePath = path.join(root, relativePath)
+	fs.mkdirSync(path.dirname(filePath), { recursive: true })
+	fs.writeFileSync(filePath, content)
+	return filePath
+}
+
+test("finds parsers by extension and by content", () => {
+	const registry = new ParserRegistry()
+		.register({ name: "a", extensions: [".A"], parse() {} })
+		.register({
+			name: "b",
+			extensions: [".b"],
+			detect: (content) => content.startsWith("B:"),
+			parse() {},
+		})
+	assert.deepStrictEqual(registry.extensions(), [".a", ".b"])
+	assert.strictEqual(registry.find(write("one.a", "")).name, "a")
+	assert.strictEqual(registry.find(write("two.txt", "B: hi")).name, "b")
+	assert.strictEqual(registry.find(write("three.txt", "hello")), null)
+})
+
+test("replaces a parser registered under the same name", () => {
+	const registry = new ParserRegistry()
+		.register({ name: "a", extensions: [".a"], parse: () => "old" })
+		.register({ name: "a", extensions: [".a"], parse: () => "new" })
+	assert.strictEqual(registry.parsers.length, 1)
+	assert.strictEqual(registry.get("a").parse(), "new")
+	assert.throws(() => registry.register({ name: "c" }), /parse function/)
+})
+
+test("convertAll walks subfolders with every registered parser", async () => {
+	const recipesDir = path.join(root, "recipes")
+	write("recipes/YML/soup.yml", "name: Soup\ningredients: |\n  1 onion\n")
+	write("recipes/deep/down/stew.yml", "name: Stew\ningredients: |\n  1 leek\n")
+	write("recipes/notes/pie.txt", "PIE\n2 apples")
+	write("recipes/.hidden/cake.yml", "name: Cake\ningredients: |\n  1 egg\n")
+	const converter = new RecipeConverter({
+		recipesDir,
+		outputDir: path.join(root, "output"),
+		logLevel: "silent",
+		summary: false,
+	})
+	converter.registerParser({
+		name: "plain",
+		extensions: [],
+		detect: (content) => content.startsWith("PIE"),
+		parse: async (filePath) => ({
+			id: "pie",
+			title: "Pie",
+			ingredients: fs.readFileSync(filePath, "utf-8").split("\n")[1],
+			date: 1700000000,
+		}),
+	})
+	const recipes = await converter.convertAll()
+	assert.deepStrictEqual(recipes.map(({ title }) => title).sort(), [
+		"Pie",
+		"Soup",
+		"Stew",
+	])
+	assert.ok(fs.existsSync(path.join(root, "output", "stew.melarecipe")))
+})
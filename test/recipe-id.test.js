@@ -0,0 +1,88 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { sanitizeId, recipeId, collisionId } = require("../lib/recipe-id")
+const RecipeConverter = require("../recipe-converter")
+
+const pasta = {
+	id: "pasta",
+	title: "Pasta",
+	link: "https://example.com/pasta",
+	ingredients: "200 g pasta",
+	instructions: "Boil.",
+}
+
+test("sanitizeId makes ids safe for file names", () => {
+	assert.strictEqual(sanitizeId("Crème Brûlée (v2)"), "Creme-Brulee-v2")
+	assert.strictEqual(sanitizeId("..hidden.."), "hidden")
+	assert.strictEqual(sanitizeId(null), "")
+})
+
+test("basename keeps the parser's id and falls back to a UUID", () => {
+	assert.strictEqual(recipeId(pasta), "pasta")
+	assert.strictEqual(recipeId({ ...pasta, id: "***" }), recipeId(pasta, "uuid"))
+})
+
+test("uuid depends on the link and title only", () => {
+	const id = recipeId(pasta, "uuid")
+	assert.match(id, /^[0-9a-f-]{36}$/)
+	assert.strictEqual(recipeId({ ...pasta, id: "other" }, "uuid"), id)
+	assert.notStrictEqual(recipeId({ ...pasta, title: "Pesto" }, "uuid"), id)
+})
+
+test("hash depends on the content and ignores case and spacing", () => {
+	const id = recipeId(pasta, "hash")
+	assert.match(id, /^[0-9a-f]{16}$/)
+	assert.strictEqual(
+		recipeId({ ...pasta, id: "x", instructions: "  BOIL. " }, "hash"),
+		id
+	)
+	assert.notStrictEqual(
+		recipeId({ ...pasta, instructions: "Bake." }, "hash"),
+		id
+	)
+})
+
+test("collision ids are derived from the source", () => {
+	assert.strictEqual(
+		collisionId("pasta", "a/pasta.yml"),
+		collisionId("pasta", "a/pasta.yml")
+	)
+	assert.notStrictEqual(
+		collisionId("pasta", "a/pasta.yml"),
+		collisionId("pasta", "b/pasta.yml")
+	)
+	assert.match(collisionId("pasta", "a/pasta.yml", "uuid"), /^[0-9a-f-]{36}$/)
+})
+
+test("assignId gives a colliding recipe a suffix", () => {
+	const converter = new RecipeConverter({ logLevel: "silent" })
+	assert.strictEqual(converter.assignId({ ...pasta }, "pasta.html"), "pasta")
+	const second = converter.assignId({ ...pasta }, "pasta.yml")
+	assert.strictEqual(second, collisionId("pasta", "pasta.yml"))
+	// A third one from the same source still gets an id of its own
+	const third = converter.assignId({ ...pasta }, "pasta.yml")
+	assert.notStrictEqual(third, second)
+	assert.notStrictEqual(third, "pasta")
+})
+
+test("a reserved id goes to its source whatever the order", () => {
+	const converter = new RecipeConverter({ logLevel: "silent" })
+	converter.reserveId("pasta", "b/pasta.yml")
+	assert.strictEqual(
+		converter.assignId({ ...pasta }, "a/pasta.yml"),
+		collisionId("pasta", "a/pasta.yml")
+	)
+	assert.strictEqual(converter.assignId({ ...pasta }, "b/pasta.yml"), "pasta")
+	// Only once
+	assert.notStrictEqual(
+		converter.assignId({ ...pasta }, "b/pasta.yml"),
+		"pasta"
+	)
+})
+
+test("rejects an unknown strategy", () => {
+	assert.throws(
+		() => new RecipeConverter({ idStrategy: "random", logLevel: "silent" }),
+		/Unknown id strategy "random"/
+	)
+})
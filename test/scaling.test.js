@@ -0,0 +1,25 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { parseYield, scaleFactor, scaleYield } = require("../lib/scaling")
+
+test("reads the first quantity in a yield", () => {
+	assert.strictEqual(parseYield("Serves 4-6").quantity, 4)
+	assert.strictEqual(parseYield("Makes 12 cookies").quantity, 12)
+	assert.strictEqual(parseYield("A big pot"), null)
+	assert.strictEqual(scaleFactor("Serves 4", 8), 2)
+	assert.strictEqual(scaleFactor("A big pot", 8), null)
+})
+
+test("replaces the yield's quantity with the target", () => {
+	assert.strictEqual(scaleYield("Serves 4-6", 8), "Serves 8")
+	assert.strictEqual(scaleYield("Makes 12 cookies", 24), "Makes 24 cookies")
+	assert.strictEqual(scaleYield("A big pot", 8), "A big pot")
+})
+
+test("scales every quantity in the yield", () => {
+	assert.strictEqual(scaleYield("4, 4 servings", 8), "8, 8 servings")
+	assert.strictEqual(
+		scaleYield("Makes 2 loaves (16-20 slices)", 4),
+		"Makes 4 loaves (32–40 slices)"
+	)
+})
@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test")
+const assert = require("node:assert")
+const AdmZip = require("adm-zip")
+const RecipeConverter = require("../recipe-converter")
+const { createServer, MAX_ZIP_ENTRIES } = require("../lib/server")
+
+let server
+let baseUrl
+
+before(async () => {
+	server = createServer({
+		logger: { info() {}, error() {} },
+		createConverter: () =>
+			new RecipeConverter({
+				logLevel: "silent",
+				dryRun: true,
+				archive: false,
+				summary: false,
+				imageCache: false,
+			}),
+	})
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+	baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => server.close())
+
+async function upload(fileName, body) {
+	const response = await fetch(`${baseUrl}/api/parse`, {
+		method: "POST",
+		headers: { "X-File-Name": fileName },
+		body,
+	})
+	return { status: response.status, data: await response.json() }
+}
+
+test("parses an uploaded YML file", async () => {
+	const { status, data } = await upload(
+		"soup.yml",
+		"name: Tomato Soup\ningredients:\n  - 1 kg tomatoes\n"
+	)
+	assert.strictEqual(status, 200)
+	assert.strictEqual(data.recipes[0].title, "Tomato Soup")
+})
+
+test("rejects a file name that isn't URL encoded", async () => {
+	const { status } = await upload("%E0%A4%A.yml", "name: Soup\n")
+	assert.strictEqual(status, 400)
+})
+
+test("rejects files that aren't ZIP files", async () => {
+	const { status } = await upload("recipes.zip", "not a zip")
+	assert.strictEqual(status, 400)
+})
+
+test("rejects ZIP files with too many entries", async () => {
+	const zip = new AdmZip()
+	for (let i = 0; i <= MAX_ZIP_ENTRIES; i++) {
+		zip.addFile(`recipe-${i}.yml`, Buffer.from("name: Soup\n"))
+	}
+	const { status, data } = await upload("recipes.zip", zip.toBuffer())
+	assert.strictEqual(status, 413)
+	assert.match(data.error, /more than/)
+})
@@ -0,0 +1,82 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { compileTaxonomy, applyTaxonomy } = require("../lib/taxonomy")
+const { fromYAML } = require("../recipe-converter")
+
+const rules = compileTaxonomy({
+	case: "title",
+	synonyms: { "Main Course": ["mains", "main dish", "dinner"] },
+	rewrite: [{ match: "\\s+recipes?$", replace: "" }],
+	deny: ["easy", "/^best\\b/"],
+	max: 4,
+	autoTag: {
+		Poultry: ["chicken", "turkey"],
+		Vegetarian: { title: ["vegetarian"] },
+	},
+})
+
+test("rewrites, maps synonyms, folds case and drops denied categories", () => {
+	const recipe = {
+		title: "Chili",
+		categories: ["Dinner", "mains", "chili recipes", "EASY", "best chili"],
+	}
+	assert.deepStrictEqual(applyTaxonomy(recipe, rules), ["Main Course", "Chili"])
+})
+
+test("auto-tags plurals in the title or ingredients, but not other words", () => {
+	const tag = (title, ingredients) =>
+		applyTaxonomy({ title, ingredients, categories: [] }, rules)
+	assert.deepStrictEqual(tag("Roast chickens", ""), ["Poultry"])
+	assert.deepStrictEqual(tag("Curry", "2 chicken thighs"), ["Poultry"])
+	assert.deepStrictEqual(tag("Curry", "400 g chickpeas"), [])
+	// Section headings aren't ingredients, and Vegetarian only looks at the title
+	assert.deepStrictEqual(
+		tag("Stew", "# For the turkey\n1 vegetarian stock cube"),
+		[]
+	)
+	assert.deepStrictEqual(tag("Vegetarian lasagne", ""), ["Vegetarian"])
+})
+
+test("keeps only allowed categories, auto-tags first, up to max", () => {
+	const allowed = compileTaxonomy({ allow: ["dessert", "/^cake/"], max: 2 })
+	assert.deepStrictEqual(
+		applyTaxonomy(
+			{ categories: ["Snack", "Cakes", "Dessert", "dessert", "Cake pops"] },
+			allowed
+		),
+		["Cakes", "Dessert"]
+	)
+	const recipe = {
+		title: "Chicken and turkey pie",
+		categories: ["Pie", "Pastry", "Comfort", "Winter"],
+	}
+	assert.deepStrictEqual(applyTaxonomy(recipe, rules), [
+		"Poultry",
+		"Pie",
+		"Pastry",
+		"Comfort",
+	])
+})
+
+test("rejects unknown or malformed settings", () => {
+	assert.throws(
+		() => compileTaxonomy({ synonym: {} }),
+		/unknown setting "synonym"/
+	)
+	assert.throws(() => compileTaxonomy({ max: 0 }), /max must be a whole number/)
+	assert.throws(() => compileTaxonomy({ deny: [1] }), /deny must be a list/)
+	assert.throws(
+		() => compileTaxonomy({ autoTag: { Fish: { body: ["salmon"] } } }),
+		/unknown field "body"/
+	)
+})
+
+test("YML tags work as a block or a list", async () => {
+	const yml = (tags) =>
+		`name: Chicken Soup\ningredients: |\n  1 chicken\n${tags}`
+	const options = { taxonomy: { synonyms: { Soup: ["soups"] } } }
+	const block = await fromYAML(yml("tags: |\n  soups\n  Dinner\n"), options)
+	const list = await fromYAML(yml("tags:\n  - soups\n  - Dinner\n"), options)
+	assert.deepStrictEqual(block.categories, ["Soup", "Dinner"])
+	assert.deepStrictEqual(list.categories, ["Soup", "Dinner"])
+})
@@ -0,0 +1,41 @@
+const { test } = require("node:test")
+const assert = require("node:assert")
+const { adjustIngredient, convertTemperatures } = require("../lib/units")
+const { parseIngredientLine } = require("../lib/ingredients")
+
+function adjust(line, options) {
+	return adjustIngredient(parseIngredientLine(line), options)
+}
+
+test("keeps the recipe's spelling of a unit when scaling", () => {
+	assert.strictEqual(
+		adjust("2 tins tomatoes", { factor: 0.5 }).line,
+		"1 tin tomatoes"
+	)
+	assert.strictEqual(
+		adjust("1 Tin tomatoes", { factor: 2 }).line,
+		"2 Tins tomatoes"
+	)
+	assert.strictEqual(adjust("2 lbs beef", { factor: 0.5 }).line, "1 lb beef")
+	assert.strictEqual(adjust("2 tbsp oil", { factor: 2 }).line, "4 tbsp oil")
+})
+
+test("warns about package sizes and lines without an amount", () => {
+	assert.deepStrictEqual(adjust("1 (400 g) can tomatoes", { system: "us" }), {
+		line: "1 (400 g) can tomatoes",
+		warnings: ["package size (400 g) not converted"],
+	})
+	assert.deepStrictEqual(adjust("salt to taste", { factor: 2 }).warnings, [
+		"no amount to scale",
+	])
+	assert.deepStrictEqual(adjust("salt to taste").warnings, [])
+})
+
+test("only reads a bare C or F as a temperature when it is one", () => {
+	const us = (text) => convertTemperatures(text, "us").text
+	assert.strictEqual(us("Cook for 10 C"), "Cook for 10 C")
+	assert.strictEqual(us("Bake at 180 C"), "Bake at 350°F")
+	assert.strictEqual(us("Heat to 40°C"), "Heat to 104°F")
+	assert.strictEqual(us("Warm to 40 degrees C"), "Warm to 104°F")
+	assert.strictEqual(us("Bake at 350 F (180 C)"), "Bake at 350°F")
+})
@@ -0,0 +1,40 @@
+const { test, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { once } = require("events")
+const RecipeConverter = require("../recipe-converter")
+
+const tempDirs = []
+
+after(() => {
+	tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }))
+})
+
+test("removes the outputs and archive when the last file is deleted", async () => {
+	const root = fs.mkdtempSync(path.join(os.tmpdir(), "watch-"))
+	tempDirs.push(root)
+	const recipesDir = path.join(root, "recipes")
+	const outputDir = path.join(root, "output")
+	fs.mkdirSync(recipesDir)
+	const source = path.join(recipesDir, "soup.yml")
+	fs.writeFileSync(source, "name: Soup\ningredients: |\n  1 onion\n")
+
+	const converter = new RecipeConverter({
+		recipesDir,
+		outputDir,
+		logLevel: "silent",
+		summary: false,
+	})
+	const watcher = await converter.watch({ delay: 50 })
+	try {
+		assert.ok(fs.existsSync(path.join(outputDir, "recipes.melarecipes")))
+		const finished = once(converter, "run:finished")
+		fs.unlinkSync(source)
+		await finished
+		assert.deepStrictEqual(fs.readdirSync(outputDir), [".manifest.json"])
+	} finally {
+		watcher.close()
+	}
+})
@@ -0,0 +1,186 @@
+const { test, after } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const yaml = require("yaml")
+const AdmZip = require("adm-zip")
+const {
+	toPaprikaRecipe,
+	toPaprikaRecipesBuffer,
+} = require("../lib/paprika-writer")
+const { decodePaprikaRecipe } = require("../lib/paprika-reader")
+const { toMarkdown } = require("../lib/markdown-writer")
+const { toPrintableCookbook } = require("../lib/print-writer")
+const RecipeConverter = require("../recipe-converter")
+const { fromHTML } = RecipeConverter
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "writers-"))
+
+after(() => fs.rmSync(root, { recursive: true, force: true }))
+
+// A 1x1 PNG and GIF
+const GIF = "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7"
+const PNG =
+	"iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg=="
+
+const soup = {
+	id: "soup",
+	title: "Tomato Soup",
+	text: "Quick & easy.",
+	images: [PNG, GIF],
+	categories: ["Soup"],
+	yield: "4",
+	prepTime: "10m",
+	cookTime: "30m",
+	totalTime: "40m",
+	ingredients: "# For the soup\n1 kg tomatoes\n1 onion\n# To serve\nBasil",
+	instructions: "Chop.\nSimmer for 30 minutes.",
+	notes: "Freezes well.",
+	nutrition: "Calories: 250 kcal",
+	link: "https://www.example.com/soup",
+	favorite: true,
+	date: 1700000000,
+}
+
+test("writes Paprika recipes with a stable uid and the images as photos", () => {
+	const paprika = toPaprikaRecipe(soup)
+	assert.match(paprika.uid, /^[0-9A-F-]{36}$/)
+	assert.strictEqual(toPaprikaRecipe({ ...soup, id: "other" }).uid, paprika.uid)
+	assert.strictEqual(paprika.name, "Tomato Soup")
+	assert.strictEqual(paprika.directions, "Chop.\nSimmer for 30 minutes.")
+	assert.strictEqual(paprika.source, "example.com")
+	assert.strictEqual(paprika.source_url, "https://www.example.com/soup")
+	assert.strictEqual(paprika.on_favorites, true)
+	assert.strictEqual(paprika.created, "2023-11-14 22:13:20")
+	assert.strictEqual(paprika.photo_data, PNG)
+	assert.deepStrictEqual(
+		paprika.photos.map(({ name, filename }) => [name, filename]),
+		[["2", `${paprika.uid}-2.gif`]]
+	)
+	assert.match(paprika.hash, /^[0-9A-F]{64}$/)
+})
+
+test("zips Paprika recipes under names of their own", async () => {
+	const zip = new AdmZip(
+		await toPaprikaRecipesBuffer([soup, soup, { ...soup, id: "" }])
+	)
+	const entries = zip.getEntries()
+	assert.deepStrictEqual(entries.map(({ entryName }) => entryName).sort(), [
+		"Tomato Soup.paprikarecipe",
+		"soup-2.paprikarecipe",
+		"soup.paprikarecipe",
+	])
+	assert.strictEqual(
+		decodePaprikaRecipe(zip.getEntry("soup.paprikarecipe").getData()).name,
+		"Tomato Soup"
+	)
+})
+
+test("writes a JSON-LD page that reads back as the same recipe", async () => {
+	const writer = new RecipeConverter({ logLevel: "silent" }).writers.get("html")
+	const html = writer.render(soup).toString()
+	assert.match(html, /<script type="application\/ld\+json">/)
+	assert.match(html, /<h1>Tomato Soup<\/h1>/)
+	assert.match(html, /<p>Quick &amp; easy.<\/p>/)
+	const recipe = await fromHTML(html, { processImages: false })
+	assert.strictEqual(recipe.title, "Tomato Soup")
+	assert.strictEqual(recipe.yield, "4")
+	assert.strictEqual(recipe.prepTime, "10m")
+	assert.strictEqual(recipe.cookTime, "30m")
+	assert.strictEqual(recipe.ingredients, soup.ingredients)
+	assert.strictEqual(recipe.instructions, "Chop.\n\nSimmer for 30 minutes.")
+	assert.deepStrictEqual(recipe.categories, ["Soup"])
+	assert.strictEqual(recipe.images.length, 2)
+})
+
+test("writes Markdown with front matter and a section per field", () => {
+	const markdown = toMarkdown(soup)
+	const [, front, body] = markdown.split("---\n")
+	assert.deepStrictEqual(yaml.parse(front), {
+		title: "Tomato Soup",
+		id: "soup",
+		categories: ["Soup"],
+		yield: "4",
+		prepTime: "10m",
+		cookTime: "30m",
+		totalTime: "40m",
+		source: "https://www.example.com/soup",
+		date: "2023-11-14T22:13:20.000Z",
+		favorite: true,
+	})
+	assert.ok(body.includes(`![Tomato Soup](data:image/png;base64,${PNG})`))
+	assert.ok(
+		body.includes(
+			"## Ingredients\n\n### For the soup\n\n- 1 kg tomatoes\n- 1 onion\n\n### To serve\n\n- Basil"
+		)
+	)
+	assert.ok(
+		body.includes("## Instructions\n\n1. Chop.\n2. Simmer for 30 minutes.")
+	)
+	assert.ok(body.includes("## Notes\n\nFreezes well."))
+	assert.ok(body.endsWith("## Nutrition\n\n- Calories: 250 kcal\n"))
+	// Empty fields are left out
+	assert.strictEqual(
+		toMarkdown({ title: "Toast" }),
+		"---\ntitle: Toast\n---\n\n# Toast\n"
+	)
+})
+
+test("prints every recipe in one page, sorted behind a table of contents", () => {
+	const html = toPrintableCookbook(
+		[soup, { title: "Apple <Pie>", ingredients: "6 apples" }],
+		{ title: "Family Recipes" }
+	)
+	assert.match(html, /<title>Family Recipes<\/title>/)
+	const contents = html.slice(
+		html.indexOf('<ol class="contents">'),
+		html.indexOf("</ol>")
+	)
+	assert.deepStrictEqual(
+		[...contents.matchAll(/<a href="#(recipe-\d)">(.+?)<\/a>/g)].map(
+			([, anchor, title]) => [anchor, title]
+		),
+		[
+			["recipe-1", "Apple &lt;Pie&gt;"],
+			["recipe-2", "Tomato Soup"],
+		]
+	)
+	assert.ok(html.indexOf('id="recipe-1"') < html.indexOf('id="recipe-2"'))
+	assert.match(html, /<p class="meta">4 · Prep 10m · Cook 30m · Total 40m<\/p>/)
+	assert.match(
+		html,
+		/<h4>For the soup<\/h4>\n\s*<ul>\n\s*<li>1 kg tomatoes<\/li>/
+	)
+})
+
+test("converts to each format with its file names", async () => {
+	const recipesDir = path.join(root, "recipes")
+	fs.mkdirSync(recipesDir)
+	fs.writeFileSync(
+		path.join(recipesDir, "soup.yml"),
+		"name: Tomato Soup\ningredients: |\n  1 kg tomatoes\n"
+	)
+	const outputs = {}
+	for (const format of ["paprika", "html", "markdown", "print"]) {
+		const outputDir = path.join(root, format)
+		await new RecipeConverter({
+			recipesDir,
+			outputDir,
+			format,
+			logLevel: "silent",
+			summary: false,
+			imageCache: false,
+		}).convertAll()
+		outputs[format] = fs
+			.readdirSync(outputDir)
+			.filter((name) => !name.startsWith("."))
+			.sort()
+	}
+	assert.deepStrictEqual(outputs, {
+		paprika: ["recipes.paprikarecipes", "soup.paprikarecipe"],
+		html: ["soup.html"],
+		markdown: ["soup.md"],
+		print: ["recipes.html"],
+	})
+})